@@ -179,7 +179,65 @@ module.exports = [
     title: "Single Row Horizontal",
     source: "horizontal",
     paragraphs: [
-      "This demonstrates how to constrain the elements to a single row."
+      "This demonstrates how to constrain the elements to a single row.",
+      "With <code>growHorizontally</code>, items that don't fit keep going to the right and the grid scrolls sideways."
+    ]
+  },
+  {
+    title: "Drag Between Grids",
+    source: "grid-group",
+    paragraphs: [
+      "Grids wrapped in a <code>&lt;GridGroup&gt;</code> can trade items. Drag an item from one column to another.",
+      "The item keeps its id and size. <code>onTransfer</code> reports which grid gave it up and which took it."
+    ]
+  },
+  {
+    title: "Draggable Source",
+    source: "draggable-source",
+    paragraphs: [
+      "<code>&lt;DraggableSource&gt;</code> drags things into a grid with the mouse, touch or a pen, without HTML5 drag and drop.",
+      "On touch screens, hold a tool still for a moment before dragging it. <code>onDrop</code> gets the tool's <code>uniKey</code> and <code>data</code>."
+    ]
+  },
+  {
+    title: "Auto Height",
+    source: "auto-height",
+    paragraphs: [
+      "Items with <code>autoHeight</code> take as many rows as their content needs, like a masonry layout.",
+      "Add text to an item: it grows and the items below it move down."
+    ]
+  },
+  {
+    title: "CSS Grid",
+    source: "css-grid",
+    paragraphs: [
+      "With <code>useCSSGrid</code>, the grid is a CSS Grid and items are placed with <code>grid-column</code> and <code>grid-row</code>.",
+      "Positions don't depend on the measured width, so the layout is right before it is measured and when printed. Items only use px while dragged or resized."
+    ]
+  },
+  {
+    title: "Nested Grids",
+    source: "nested-grids",
+    paragraphs: [
+      "Panels hold grids of their own. Move a panel by its title, and drag items between the panels and the outer grid: all the grids are in one <code>&lt;GridGroup&gt;</code>.",
+      "Panels have <code>autoHeight</code>, so they grow and shrink with their grids."
+    ]
+  },
+  {
+    title: "Layout Groups",
+    source: "layout-groups",
+    paragraphs: [
+      "Items with the same <code>group</code> stay together. Drag a section by its header (the item whose <code>i</code> is the group's name) to move all of it.",
+      "Other items push a section out of the way as a whole. The items of a section can still be dragged on their own."
+    ]
+  },
+  {
+    title: "Collaboration",
+    source: "collaboration",
+    paragraphs: [
+      "Two users edit the same layout. Each grid sends <code>utils.diffLayouts()</code> of its changes to the other, which applies them with <code>utils.applyLayoutPatch()</code> a second later.",
+      "Move an item in one grid, then start a drag in the other before the change arrives: the change is taken in when the drag stops, and both are kept.",
+      "While one user drags, the other sees where to with <code>remotePlaceholders</code>, and with <code>reserveRemotePlaceholders</code> their own drags go around it."
     ]
   },
 ];
@@ -5,3 +5,7 @@ module.exports.Responsive = require("./lib/ResponsiveReactGridLayout").default;
 module.exports.Responsive.utils = require("./lib/responsiveUtils");
 module.exports.WidthProvider =
   require("./lib/components/WidthProvider").default;
+module.exports.GridGroup = require("./lib/GridGroup").default;
+module.exports.DraggableSource = require("./lib/DraggableSource").default;
+module.exports.useDraggableSource =
+  require("./lib/DraggableSource").useDraggableSource;
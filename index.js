@@ -6,3 +6,7 @@ module.exports.Responsive =
 module.exports.Responsive.utils = require("./build/responsiveUtils");
 module.exports.WidthProvider =
   require("./build/components/WidthProvider").default;
+module.exports.GridGroup = require("./build/GridGroup").default;
+module.exports.DraggableSource = require("./build/DraggableSource").default;
+module.exports.useDraggableSource =
+  require("./build/DraggableSource").useDraggableSource;
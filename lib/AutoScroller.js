@@ -0,0 +1,156 @@
+// @flow
+
+export type ScrollDelta = { left: number, top: number };
+interface Rect {
+  +left: number;
+  +top: number;
+  +right: number;
+  +bottom: number;
+}
+
+// Size in px of the zone along each edge where scrolling starts.
+// 靠近边缘多少像素时开始自动滚动
+const EDGE_SIZE = 50;
+
+// The element that scrolls the page.
+function getPageScroller(): HTMLElement {
+  // $FlowIgnore documentElement is always there in a browser
+  return document.scrollingElement || document.documentElement;
+}
+
+/**
+ * Find what scrolls for `node`: the node itself or its nearest ancestor that has overflow
+ * to scroll, or the page if there is none.
+ *
+ * @param  {Element} node DOM node.
+ * @return {Element}      Scroll container.
+ */
+export function getScrollParent(node: ?Element): Element {
+  for (let el = node; el && el.nodeType === 1; el = el.parentElement) {
+    if (el === document.body || el === document.documentElement) break;
+    const { overflowX, overflowY } = window.getComputedStyle(el);
+    if (
+      (/auto|scroll|overlay/.test(overflowY) &&
+        el.scrollHeight > el.clientHeight) ||
+      (/auto|scroll|overlay/.test(overflowX) && el.scrollWidth > el.clientWidth)
+    ) {
+      return el;
+    }
+  }
+  return getPageScroller();
+}
+
+// Scroll speed along one axis: negative towards `start`, positive towards `end`.
+function axisSpeed(
+  pos: number,
+  start: number,
+  end: number,
+  edge: number,
+  speed: number
+): number {
+  const size = Math.min(edge, (end - start) / 2);
+  if (size <= 0) return 0;
+  if (pos < start + size) {
+    return -Math.ceil(speed * Math.min(1, (start + size - pos) / size));
+  }
+  if (pos > end - size) {
+    return Math.ceil(speed * Math.min(1, (pos - end + size) / size));
+  }
+  return 0;
+}
+
+/**
+ * How far to scroll in one frame for a pointer at (clientX, clientY).
+ * 根据指针离边缘的距离计算每帧的滚动距离。
+ *
+ * Nothing happens until the pointer is within `edge` px of an edge of `rect`; from there
+ * the speed ramps up to `speed` at the edge, and stays there past it.
+ *
+ * @param  {Object} rect    {left, top, right, bottom} of the visible area, in px.
+ * @param  {Number} clientX Pointer position.
+ * @param  {Number} clientY Pointer position.
+ * @param  {Number} speed   Max px per frame.
+ * @param  {Number} edge    Size of the zone along each edge, in px.
+ * @return {Object}         {left, top} px to scroll by.
+ */
+export function getAutoScrollDelta(
+  rect: Rect,
+  clientX: number,
+  clientY: number,
+  speed: number,
+  edge: number = EDGE_SIZE
+): ScrollDelta {
+  return {
+    left: axisSpeed(clientX, rect.left, rect.right, edge, speed),
+    top: axisSpeed(clientY, rect.top, rect.bottom, edge, speed)
+  };
+}
+
+/**
+ * Scrolls a container (or the page) while the pointer is held near its edges, one step
+ * per animation frame. `onScroll(left, top)` is called with the px actually scrolled
+ * after each step, so the dragged element can be moved along.
+ */
+export default class AutoScroller {
+  target: Element;
+  speed: number;
+  onScroll: (left: number, top: number) => void;
+  pointer: ?{ clientX: number, clientY: number } = null;
+  frame: ?AnimationFrameID = null;
+
+  constructor(
+    target: Element,
+    speed: number,
+    onScroll: (left: number, top: number) => void
+  ) {
+    this.target = target;
+    this.speed = speed;
+    this.onScroll = onScroll;
+  }
+
+  /**
+   * Call on each pointer move. Starts scrolling if the pointer is near an edge.
+   * @param {Number} clientX Pointer position.
+   * @param {Number} clientY Pointer position.
+   */
+  update(clientX: number, clientY: number): void {
+    this.pointer = { clientX, clientY };
+    if (this.frame == null) this.frame = requestAnimationFrame(this.step);
+  }
+
+  stop(): void {
+    if (this.frame != null) cancelAnimationFrame(this.frame);
+    this.frame = null;
+    this.pointer = null;
+  }
+
+  step: () => void = () => {
+    this.frame = null;
+    const { pointer, target } = this;
+    if (!pointer) return;
+    const rect =
+      target === getPageScroller() || target === document.body
+        ? {
+            left: 0,
+            top: 0,
+            right: window.innerWidth,
+            bottom: window.innerHeight
+          }
+        : target.getBoundingClientRect();
+    const { clientX, clientY } = pointer;
+    const delta = getAutoScrollDelta(rect, clientX, clientY, this.speed);
+    if (!delta.left && !delta.top) return;
+
+    const { scrollLeft, scrollTop } = target;
+    target.scrollLeft += delta.left;
+    target.scrollTop += delta.top;
+    const left = target.scrollLeft - scrollLeft;
+    const top = target.scrollTop - scrollTop;
+    // Stop at the end; the next pointer move starts over.
+    if (!left && !top) return;
+
+    // Before onScroll(), so an update() from it doesn't start a second loop
+    this.frame = requestAnimationFrame(this.step);
+    this.onScroll(left, top);
+  };
+}
@@ -1,145 +1,379 @@
-/* eslint-disable react/prop-types */
-import React, { useRef, useEffect, forwardRef } from "react";
+// @flow
+import * as React from "react";
+import { useRef, useEffect, useCallback, forwardRef } from "react";
+import PropTypes from "prop-types";
 import { addEvent, removeEvent } from 'react-draggable/build/cjs/utils/domFns';
 
-// 元素是否在另一个元素内部
-const elementIsInChain = (elementToTraverse, elementToFind) => {
-  if (elementToTraverse === elementToFind) {
-    return elementToFind;
-  }
-  if (elementToTraverse.parentElement) {
-    return elementIsInChain(elementToTraverse.parentElement, elementToFind);
-  }
-  return false;
-};
+type Size = { w?: number, h?: number };
+type UniKey = string | number;
+interface ClientPoint { +clientX: number; +clientY: number }
 
-// 子元素是否超出父元素
-const elementIsOutParent = (ele, parent) => {
-  const childRect = ele.getBoundingClientRect();
-  const parentRect = parent.getBoundingClientRect();
-  return childRect.left + childRect.width / 2 < parentRect.left ||
-    childRect.right - childRect.width / 2 > parentRect.right ||
-    childRect.top + childRect.height / 2 < parentRect.top ||
-    childRect.bottom - childRect.height / 2 > parentRect.bottom;
+// What a source uses of the ReactGridLayouts it drops into. `owner` identifies the drag.
+interface Grid {
+  +containerNode: ?HTMLElement;
+  onSourceDragOver(item: ?Size, e: PointerEvent, owner: mixed): void;
+  onSourceDragLeave(owner: mixed): void;
+  onSourceDrop(e: PointerEvent, source: { uniKey: ?UniKey, data: any }, owner: mixed): void;
+}
+type GridRef = { +current: ?Grid };
+
+type FollowStyle = { transform: string, pointerEvents: string, zIndex: string };
+
+// A pointer from pointerdown to pointerup, see `handlePointerDown`
+type Pointer = {
+  pointerId: number,
+  active: boolean,
+  start: ClientPoint,
+  timer: ?TimeoutID,
+  style: ?FollowStyle,
+  grid: ?Grid,
+  inToolbox: boolean,
+  hidden: boolean,
+  inserted: boolean,
+  onMove: (e: PointerEvent) => void,
+  onUp: (e: PointerEvent) => void,
+  onTouchMove: (e: TouchEvent) => void,
+  onContextMenu: (e: Event) => void
 };
 
-// 隐藏占位元素
-const hideRglPlaceholder = () => {
-  const placeHolder = document.querySelector(".react-grid-placeholder");
-  if (placeHolder) placeHolder.style.transform = "translate(-8000px, 0px)";
+export type Props = {
+  children?: React.Node,
+  style?: Object,
+  grid?: GridRef | Array<GridRef>,
+  item?: Size,
+  uniKey?: UniKey,
+  data?: any,
+  longPressDelay?: number,
+  onPointerDown?: (e: SyntheticPointerEvent<HTMLElement>) => void,
+  targetRef?: GridRef,
+  containerRef?: { +current: ?HTMLElement },
+  hideElement?: (uniKey: ?UniKey, data: any) => void,
+  visibleElement?: (uniKey: ?UniKey, data: { mouseEvent: ClientPoint }) => void,
+  finalTempComponentList?: () => void,
+  onMouseDown?: Function,
+  onMouseUp?: Function,
+  onTouchStart?: Function,
+  onTouchEnd?: Function
 };
 
-// 伪造drag-start事件
-const createDragStartEvent = (element, mouseEvent) => {
-  if (!element) return;
-
-  const event = new Event("mousedown", { bubbles: true, cancelable: true });
-  const original = element.getBoundingClientRect;
-  // 使用一个临时的getBoundingClientRect函数来修改元素的初始位置
-  element.getBoundingClientRect = () => {
-    element.getBoundingClientRect = original;
-    return {
-      left: mouseEvent.clientX,
-      top: mouseEvent.clientY,
-    };
-  };
-  element.dispatchEvent(event);
+type ElementRef<T> = { current: null | T } | ((node: null | T) => mixed);
+
+export type SourceProps<T> = {
+  ref: (node: null | T) => void,
+  onPointerDown: (e: SyntheticPointerEvent<HTMLElement>) => void,
+  style: { touchAction: string }
 };
 
-// 拖动结束
-const createDragStopEvent = element => {
-  const event = new Event("mouseup", { bubbles: true, cancelable: true });
-  element.dispatchEvent(event);
+// Touch and pen pointers start dragging once held still this long (ms)...
+// 触摸/触控笔需要长按多久才开始拖动
+const DEFAULT_LONG_PRESS_DELAY = 300;
+// ...moving further than this (px) before that is a scroll, not a drag.
+const LONG_PRESS_TOLERANCE = 8;
+
+// 指针是否在元素内
+const pointerIsIn = (e: ClientPoint, ele: HTMLElement): boolean => {
+  const rect = ele.getBoundingClientRect();
+  return e.clientX >= rect.left && e.clientX < rect.right &&
+    e.clientY >= rect.top && e.clientY < rect.bottom;
 };
 
-// eslint-disable-next-line react/display-name
-const DraggableSource = forwardRef((props, ref) => {
-  const {
-    targetRef,
-    children,
-    onMouseDown,
-    onMouseUp,
-    uniKey,
-    containerRef,
-    data,
-    mouseEvent,
-    temp,
-    hideElement = () => { },
-    visibleElement = () => { },
-    finalTempComponentList = () => { },
-    ...rest
-  } = props;
-  // 元素移动成功标识
-  const insertedRef = useRef(false);
+// The <ReactGridLayout> instances of the `grid` or `targetRef` option, one ref or an array
+const gridInstances = (grid: ?(GridRef | Array<GridRef>)): Array<Grid> => {
+  const grids = [];
+  (Array.isArray(grid) ? grid : [grid]).forEach(ref => {
+    const instance = ref && ref.current;
+    if (instance && instance.containerNode) grids.push(instance);
+  });
+  return grids;
+};
 
-  // 核心：给属性为temp的元素，则伪造drag-start事件，调整新元素的位置为当前鼠标位置
-  useEffect(() => {
-    const refCur = ref && ref.current;
-    if (refCur && temp) {
-      createDragStartEvent(refCur, mouseEvent);
+// The grid under the pointer; the innermost one when grids are nested
+const gridUnderPointer = (grids: Array<Grid>, e: ClientPoint): ?Grid => {
+  let found = null;
+  let foundNode = null;
+  grids.forEach(grid => {
+    const node = grid.containerNode;
+    if (node && pointerIsIn(e, node) && (!foundNode || foundNode.contains(node))) {
+      found = grid;
+      foundNode = node;
     }
-    return () => refCur && temp && createDragStopEvent(refCur);
-  }, [ref, temp, mouseEvent]);
+  });
+  return found;
+};
+
+// The element follows the pointer while dragged.
+const startFollowing = (node: HTMLElement): FollowStyle => {
+  const { transform, pointerEvents, zIndex } = node.style;
+  node.style.pointerEvents = "none";
+  node.style.zIndex = "1000";
+  node.classList.add("react-grid-source-dragging");
+  return { transform, pointerEvents, zIndex };
+};
+
+const stopFollowing = (node: HTMLElement, style: FollowStyle) => {
+  Object.assign(node.style, style);
+  node.classList.remove("react-grid-source-dragging");
+};
+
+/**
+ * Drag things from outside of a grid into it, with the mouse, touch or a pen, without
+ * HTML5 drag and drop. Returns the props to set on the element to drag:
+ * 把外部元素拖入网格。返回需要设置到被拖动元素上的属性。
+ *
+ *   const sourceProps = useDraggableSource({ grid: gridRef, item: { w: 2, h: 2 } });
+ *   <div {...sourceProps}>Chart</div>
+ *
+ * See <DraggableSource> for the options.
+ *
+ * @param  {Object} options Same as the props of <DraggableSource>.
+ * @param  {Ref}    ref     Optional ref to the element as well.
+ * @return {Object}         {ref, onPointerDown, style}
+ */
+export function useDraggableSource<T: HTMLElement>(
+  options: Props,
+  ref?: ?ElementRef<T>
+): SourceProps<T> {
+  const nodeRef = useRef<null | T>(null);
+  // The pointer being tracked, see `handlePointerDown`
+  const pointerRef = useRef<?Pointer>(null);
+  // Listeners outlive the render that added them, so they read the latest options from here
+  const optionsRef = useRef(options);
+  optionsRef.current = options;
+
+  const setRef = useCallback((node: null | T) => {
+    nodeRef.current = node;
+    if (typeof ref === "function") ref(node);
+    else if (ref) ref.current = node;
+  }, [ref]);
 
   useEffect(() => {
-    return () => removeEvent(document, 'mouseup', handleDragStop);
+    return () => stopTracking();
   }, []);
 
-  // mousemove 绑定事件
-  const onDragOverwrite = (e) => {
-    if (!targetRef || !containerRef) {
-      return;
+  // Toolbox item: tell the app when it leaves the toolbox and when it reaches the target grid
+  // 拖出工具箱时隐藏，进入目标网格时显示
+  const onToolboxDrag = (pointer: Pointer, e: PointerEvent) => {
+    const { uniKey, data, hideElement, visibleElement } = optionsRef.current;
+    if (pointer.inserted) return;
+    if (!pointer.hidden && !pointer.inToolbox) {
+      pointer.hidden = true;
+      if (hideElement) hideElement(uniKey, data);
     }
-
-    const mouseInContainer = elementIsInChain(e.target, targetRef.current) && !elementIsInChain(e.target, containerRef.current);
-    // 判断子元素是否已经拖出父元素
-    if (elementIsOutParent(e.target, containerRef.current) && !insertedRef.current) {
-      if (onMouseUp) onMouseUp(e);
-      hideElement(uniKey, data);
+    // The grid shows its dropping item under the pointer from now on
+    if (pointer.grid) {
+      pointer.inserted = true;
+      if (visibleElement) {
+        visibleElement(uniKey, { ...data, mouseEvent: { clientX: e.clientX, clientY: e.clientY } });
+      }
     }
+  };
 
-    if (mouseInContainer && !insertedRef.current) {
-      visibleElement(uniKey, { ...data, mouseEvent: { clientX: e.clientX, clientY: e.clientY } });
-      insertedRef.current = true;
-      // hideRglPlaceholder();
-      return;
+  // Follow the pointer and show where the item would land in the grid under it.
+  const onDrag = (pointer: Pointer, e: PointerEvent) => {
+    const node = nodeRef.current;
+    if (node && pointer.style) {
+      const dx = e.clientX - pointer.start.clientX;
+      const dy = e.clientY - pointer.start.clientY;
+      node.style.transform = `translate(${dx}px, ${dy}px) ${pointer.style.transform}`.trim();
     }
+    const { grid, targetRef, containerRef, item } = optionsRef.current;
+    let over = gridUnderPointer(gridInstances(grid || targetRef), e);
+    // Like nested grids, the toolbox covers the grids it is in but not the ones inside it
+    const container = containerRef && containerRef.current;
+    pointer.inToolbox = container
+      ? pointerIsIn(e, container) && !(over && container.contains(over.containerNode))
+      : false;
+    if (pointer.inToolbox) over = null;
+    if (pointer.grid && pointer.grid !== over) pointer.grid.onSourceDragLeave(pointer);
+    pointer.grid = over;
+    if (over) over.onSourceDragOver(item, e, pointer);
+    if (container) onToolboxDrag(pointer, e);
   };
 
-  const onStopOverwrite = (e) => {
-    if (insertedRef.current) {
-      finalTempComponentList();
-      insertedRef.current = false;
-    }
+  const onDrop = (pointer: Pointer, e: PointerEvent) => {
+    if (nodeRef.current && pointer.style) stopFollowing(nodeRef.current, pointer.style);
+    const { uniKey, data, finalTempComponentList } = optionsRef.current;
+    if (pointer.grid) pointer.grid.onSourceDrop(e, { uniKey, data }, pointer);
+    if (pointer.inserted && finalTempComponentList) finalTempComponentList();
   };
 
-  // onMouseDown 触发事件
-  function handleMouseDown(e) {
-    addEvent(document, 'mousemove', onDragOverwrite);
-    addEvent(document, 'mouseup', handleDragStop);
-    if (onMouseDown) onMouseDown(e);
+  function stopTracking(e?: PointerEvent) {
+    const pointer = pointerRef.current;
+    if (!pointer) return;
+    pointerRef.current = null;
+    clearTimeout(pointer.timer);
+    removeEvent(document, "pointermove", pointer.onMove);
+    removeEvent(document, "pointerup", pointer.onUp);
+    removeEvent(document, "pointercancel", pointer.onUp);
+    removeEvent(document, "touchmove", pointer.onTouchMove, { passive: false });
+    removeEvent(document, "contextmenu", pointer.onContextMenu);
+    // Unmounted or cancelled mid-drag: take the placeholder out of the grid
+    if (pointer.style) {
+      if (nodeRef.current) stopFollowing(nodeRef.current, pointer.style);
+      if (pointer.grid && !e) pointer.grid.onSourceDragLeave(pointer);
+    }
+  }
+
+  // The drag really starts: right away for a mouse, after a long press otherwise.
+  function activate(pointer: Pointer) {
+    pointer.active = true;
+    if (nodeRef.current) pointer.style = startFollowing(nodeRef.current);
   }
 
-  // onMouseUp 触发事件
-  function handleDragStop(e) {
-    onStopOverwrite(e);
-    removeEvent(document, 'mousemove', onDragOverwrite);
-    if (!insertedRef.current) {
-      return;
+  /**
+   * Track a pointer from pointerdown to pointerup. Touch and pen pointers must be held
+   * still for `longPressDelay` ms first, so that the toolbox can still be scrolled.
+   * Every kind of pointer is handled here, and the grid is driven through its
+   * onSourceDragOver() and onSourceDrop() rather than through mouse events.
+   */
+  function handlePointerDown(e: SyntheticPointerEvent<HTMLElement>) {
+    if (optionsRef.current.onPointerDown) optionsRef.current.onPointerDown(e);
+    if (pointerRef.current || !e.isPrimary) return;
+    if (e.pointerType === "mouse" && e.button !== 0) return;
+
+    // Keeps the browser from sending the mouse events of a tap on top
+    if (e.pointerType !== "mouse") e.preventDefault();
+
+    const pointer: Pointer = {
+      pointerId: e.pointerId,
+      active: false,
+      start: { clientX: e.clientX, clientY: e.clientY },
+      timer: null,
+      // The element's own inline style, and the grid the pointer is over
+      style: null,
+      grid: null,
+      // Toolbox item: whether the pointer is over the toolbox, and whether
+      // hideElement() and visibleElement() were called
+      inToolbox: true,
+      hidden: false,
+      inserted: false,
+      onMove: ev => {
+        if (ev.pointerId !== pointer.pointerId) return;
+        if (!pointer.active) {
+          const dx = ev.clientX - pointer.start.clientX;
+          const dy = ev.clientY - pointer.start.clientY;
+          if (Math.hypot(dx, dy) > LONG_PRESS_TOLERANCE) stopTracking();
+          return;
+        }
+        onDrag(pointer, ev);
+      },
+      onUp: ev => {
+        if (ev.pointerId !== pointer.pointerId) return;
+        stopTracking(ev);
+        if (!pointer.active) return;
+        // pointercancel: the browser took over, so nothing is dropped
+        if (ev.type === "pointercancel") {
+          if (pointer.grid) pointer.grid.onSourceDragLeave(pointer);
+        } else {
+          onDrop(pointer, ev);
+        }
+      },
+      // Once dragging, the page must not scroll under the finger
+      onTouchMove: ev => {
+        if (pointer.active && ev.cancelable) ev.preventDefault();
+      },
+      onContextMenu: ev => ev.preventDefault()
+    };
+
+    pointerRef.current = pointer;
+    addEvent(document, "pointermove", pointer.onMove);
+    addEvent(document, "pointerup", pointer.onUp);
+    addEvent(document, "pointercancel", pointer.onUp);
+    if (e.pointerType !== "mouse") {
+      addEvent(document, "touchmove", pointer.onTouchMove, { passive: false });
+      addEvent(document, "contextmenu", pointer.onContextMenu);
+      const { longPressDelay = DEFAULT_LONG_PRESS_DELAY } = optionsRef.current;
+      pointer.timer = setTimeout(() => activate(pointer), longPressDelay);
+    } else {
+      activate(pointer);
     }
-    removeEvent(document, 'mouseup', handleDragStop);
   }
 
+  return {
+    ref: setRef,
+    onPointerDown: handlePointerDown,
+    // Lets the browser pan and scroll, but not zoom on double tap
+    style: { touchAction: "manipulation" }
+  };
+}
+
+/**
+ * A <div> that can be dragged into a grid. Two ways to use it:
+ *
+ * - With `grid`, a ref to a <ReactGridLayout> or an array of them: the element follows the
+ *   pointer, the grid under it shows a placeholder where the item would land, and calls
+ *   its `onDrop` on release, just like for an HTML5 drop (`isDroppable`). Use it outside
+ *   of any grid.
+ * - As an item of a toolbox grid (`containerRef`) dragged into another grid (`targetRef`,
+ *   a ref to the <ReactGridLayout>): it is dragged just like with `grid`, and
+ *   `hideElement`, `visibleElement` and `finalTempComponentList` tell you when it leaves
+ *   the toolbox, reaches the target grid (which shows its dropping item from then on) and
+ *   is dropped.
+ */
+// eslint-disable-next-line react/display-name
+const DraggableSource: React.AbstractComponent<Props, HTMLDivElement> = forwardRef((props, ref) => {
+  const {
+    children,
+    style,
+    // Read by useDraggableSource()
+    grid: _grid,
+    item: _item,
+    uniKey: _uniKey,
+    data: _data,
+    longPressDelay: _longPressDelay,
+    targetRef: _targetRef,
+    containerRef: _containerRef,
+    hideElement: _hideElement,
+    visibleElement: _visibleElement,
+    finalTempComponentList: _finalTempComponentList,
+    onPointerDown: _onPointerDown,
+    // From the toolbox grid's DraggableCore; the source drags itself instead
+    onMouseDown: _onMouseDown,
+    onMouseUp: _onMouseUp,
+    onTouchStart: _onTouchStart,
+    onTouchEnd: _onTouchEnd,
+    ...rest
+  } = props;
+  const sourceProps = useDraggableSource(props, ref);
+
   return (
-    <div
-      onMouseDown={handleMouseDown}
-      onMouseUp={handleDragStop}
-      ref={ref}
-      {...rest}
-    >
+    <div {...rest} {...sourceProps} style={{ ...sourceProps.style, ...style }}>
       {children}
     </div>
   );
 });
 
-export default DraggableSource;
\ No newline at end of file
+const refShape = PropTypes.shape({ current: PropTypes.any });
+
+DraggableSource.propTypes = {
+  children: PropTypes.node,
+  style: PropTypes.object,
+
+  // Ref to the <ReactGridLayout> to drop into, or refs to several of them
+  grid: PropTypes.oneOfType([refShape, PropTypes.arrayOf(refShape)]),
+  // Size of the dropped item in grid units; defaults to the grid's `droppingItem`
+  item: PropTypes.shape({ w: PropTypes.number, h: PropTypes.number }),
+  // Passed back to the callbacks, and to the grid's `onDrop` as `{uniKey, data}`
+  uniKey: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+  data: PropTypes.any,
+  // How long (ms) a touch or pen must be held before dragging starts
+  longPressDelay: PropTypes.number,
+  onPointerDown: PropTypes.func,
+
+  // Toolbox grid: the <ReactGridLayout> to drag into, and the toolbox's element
+  targetRef: refShape,
+  containerRef: refShape,
+  // (uniKey, data) when dragged out of the toolbox
+  hideElement: PropTypes.func,
+  // (uniKey, {...data, mouseEvent}) when dragged over the target grid
+  visibleElement: PropTypes.func,
+  // () when dropped after visibleElement
+  finalTempComponentList: PropTypes.func,
+  // Set by the toolbox grid's DraggableCore, and ignored
+  onMouseDown: PropTypes.func,
+  onMouseUp: PropTypes.func,
+  onTouchStart: PropTypes.func,
+  onTouchEnd: PropTypes.func
+};
+
+export default DraggableSource;
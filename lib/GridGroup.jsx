@@ -0,0 +1,114 @@
+// @flow
+import * as React from "react";
+import PropTypes from "prop-types";
+import { noop } from "./utils";
+
+// What the group uses of the ReactGridLayouts in it
+type Grid = { +containerNode: ?HTMLElement };
+
+export type Transfer = {
+  item: Object,
+  from: ?string,
+  to: ?string,
+  fromLayout: Array<Object>,
+  toLayout: Array<Object>,
+  e: ?Event
+};
+
+type Props = {
+  children?: React.Node,
+  onTransfer: (details: Transfer) => void
+};
+
+/**
+ * Lets items be dragged from one ReactGridLayout to another.
+ * 允许在组内的多个网格之间拖拽元素。
+ *
+ * While an item is dragged over another grid of the group, that grid shows the placeholder
+ * and makes room for it. On drop, the item leaves the layout of the grid it came from and
+ * joins the layout of the grid it landed on, keeping its `i`, `w` and `h`.
+ *
+ * Children belong to you, so move the child element to the other grid in `onTransfer`,
+ * rendering it with the same key.
+ */
+export default class GridGroup extends React.Component<Props> {
+  static displayName: ?string = "GridGroup";
+
+  static propTypes: Object = {
+    children: PropTypes.node,
+    // Calls when an item was dropped on another grid of the group, with
+    // ({item, from, to, fromLayout, toLayout, e}). `from` and `to` are the grids' `gridId`s.
+    onTransfer: PropTypes.func
+  };
+
+  static defaultProps: $Shape<Props> = {
+    onTransfer: noop
+  };
+
+  // Mounted grids of this group, in mount order
+  grids: Array<Grid> = [];
+
+  register(grid: Grid): void {
+    if (this.grids.indexOf(grid) === -1) this.grids.push(grid);
+  }
+
+  unregister(grid: Grid): void {
+    const index = this.grids.indexOf(grid);
+    if (index !== -1) this.grids.splice(index, 1);
+  }
+
+  /**
+   * Find the grid under a point, other than the one the drag started in. With nested
+   * grids the innermost one is under the point; grids inside the dragged item don't count.
+   * @param  {ReactGridLayout} source      Grid the item is dragged from.
+   * @param  {Number}          clientX     Pointer position in the viewport.
+   * @param  {Number}          clientY     Pointer position in the viewport.
+   * @param  {?Element}        draggedNode DOM node of the dragged item.
+   * @return {?ReactGridLayout}            Grid under the pointer, if any.
+   */
+  getGridAt(
+    source: Grid,
+    clientX: number,
+    clientY: number,
+    draggedNode: ?Element
+  ): ?Grid {
+    let found: ?Grid = null;
+    let foundNode: ?HTMLElement = null;
+    for (let i = 0; i < this.grids.length; i++) {
+      const grid = this.grids[i];
+      const node = grid.containerNode;
+      if (!node) continue;
+      if (draggedNode && draggedNode.contains(node)) continue;
+      const rect = node.getBoundingClientRect();
+      if (
+        clientX >= rect.left &&
+        clientX < rect.right &&
+        clientY >= rect.top &&
+        clientY < rect.bottom &&
+        (!foundNode || foundNode.contains(node))
+      ) {
+        found = grid;
+        foundNode = node;
+      }
+    }
+    // Still over the grid it came from, maybe over a grid that it is nested in as well
+    return found === source ? null : found;
+  }
+
+  // Called by the grid the item was dragged from, once both layouts are updated.
+  transfer(details: Transfer): void {
+    this.props.onTransfer(details);
+  }
+
+  render(): React.Node {
+    return (
+      <GridGroupContext.Provider value={this}>
+        {this.props.children}
+      </GridGroupContext.Provider>
+    );
+  }
+}
+
+// ReactGridLayouts rendered inside a <GridGroup> pick it up from here.
+export const GridGroupContext: React.Context<?GridGroup> =
+  React.createContext(null);
@@ -3,22 +3,54 @@ import React from "react";
 import PropTypes from "prop-types";
 import { DraggableCore } from "react-draggable";
 import { Resizable } from "react-resizable";
+import ResizeObserver from "resize-observer-polyfill";
 import {
   fastPositionEqual,
-  perc,
+  getClientPosition,
   resizeItemInDirection,
+  setGridArea,
   setTopLeft,
   setTransform
 } from "./utils";
 import {
   calcGridItemPosition,
+  calcGridItemPercentages,
   calcGridItemWHPx,
   calcGridColWidth,
+  calcRowsHeight,
+  calcRowsForHeight,
+  calcAspectWH,
   calcXY,
   calcWH,
   clamp
 } from "./calculateUtils";
 import clsx from "clsx";
+import AutoScroller, { getScrollParent } from "./AutoScroller";
+import type { ScrollDelta } from "./AutoScroller";
+
+// Grid units moved (or resized) per arrow key, as [x, y]
+const arrowKeyDeltas = {
+  ArrowLeft: [-1, 0],
+  ArrowRight: [1, 0],
+  ArrowUp: [0, -1],
+  ArrowDown: [0, 1]
+};
+
+// Right to left, the handle on the other side: x counts from the right edge, so the
+// handle drawn on an item's right edge resizes it like a west handle.
+function mirrorHandle(handle) {
+  return handle.replace(/[ew]/, side => (side === "e" ? "w" : "e"));
+}
+
+// Sent from a dragged item's node, so that the items its grid is nested in can raise
+// themselves above their neighbours without CSS :has().
+const NESTED_DRAG_EVENT = "react-grid-item-nested-drag";
+
+function notifyNestedDrag(node, dragging) {
+  node.dispatchEvent(
+    new CustomEvent(NESTED_DRAG_EVENT, { bubbles: true, detail: dragging })
+  );
+}
 
 /**
  * An individual item within a ReactGridLayout.
@@ -31,10 +63,21 @@ export default class GridItem extends React.Component {
     // General grid attributes
     cols: PropTypes.number.isRequired,
     containerWidth: PropTypes.number.isRequired,
-    rowHeight: PropTypes.number.isRequired,
+    // px, or px by row index as a function or an array
+    rowHeight: PropTypes.oneOfType([
+      PropTypes.number,
+      PropTypes.func,
+      PropTypes.arrayOf(PropTypes.number)
+    ]).isRequired,
     margin: PropTypes.array.isRequired,
     maxRows: PropTypes.number.isRequired,
+    // Columns the item can go to, `cols` by default; Infinity if the grid grows to the right
+    maxCols: PropTypes.number,
+    // Fixed column width in px, instead of one fitted to containerWidth
+    colWidth: PropTypes.number,
     containerPadding: PropTypes.array.isRequired,
+    // "rtl" mirrors the item: x counts columns from the right edge
+    direction: PropTypes.oneOf(["ltr", "rtl"]),
 
     // These are all in grid units
     x: PropTypes.number.isRequired,
@@ -85,15 +128,30 @@ export default class GridItem extends React.Component {
     onResizeStop: PropTypes.func,
     onResizeStart: PropTypes.func,
     onResize: PropTypes.func,
+    onKeyboardCancel: PropTypes.func,
+    // Called with (i, h) when an `autoHeight` item's content needs another number of rows
+    onAutoHeight: PropTypes.func,
 
     // Flags
     isDraggable: PropTypes.bool.isRequired,
     isResizable: PropTypes.bool.isRequired,
     isBounded: PropTypes.bool.isRequired,
     static: PropTypes.bool,
+    // Size `h` to the height of the first child element
+    autoHeight: PropTypes.bool,
+    // Width / height kept when resizing, in px or, with aspectRatioUnits "grid", in grid units
+    aspectRatio: PropTypes.number,
+    aspectRatioUnits: PropTypes.oneOf(["px", "grid"]),
+    // Focusable, with arrow keys to move and Shift+arrow keys to resize
+    isKeyboardAccessible: PropTypes.bool,
+    // Max px per frame to scroll by when dragged or resized near the edge of the
+    // scroll container. No auto-scroll if not set.
+    autoScrollSpeed: PropTypes.number,
 
     // Use CSS transforms instead of top/left
     useCSSTransforms: PropTypes.bool.isRequired,
+    // Placed by the grid container's CSS Grid, except while dragged or resized
+    useCSSGrid: PropTypes.bool,
     transformScale: PropTypes.number,
 
     // Others
@@ -126,16 +184,31 @@ export default class GridItem extends React.Component {
   state = {
     resizing: null,
     dragging: null,
-    className: ""
+    className: "",
+    // Items of grids nested in this item being dragged, see `onNestedDrag`
+    nestedDrags: 0
   };
 
   elementRef = React.createRef();
+  // "move" or "resize" while a keyboard interaction is in progress
+  keyboardAction: ?("move" | "resize") = null;
+  // Auto-scroll while dragging/resizing, see `startAutoScroll`
+  autoScroller: ?AutoScroller = null;
+  // Scrolled by the auto-scroller since DraggableCore's last event, in grid px
+  autoScrolled: ScrollDelta = { left: 0, top: 0 };
+  // Last pointer event, and the last resize callback data
+  autoScrollEvent: ?Event = null;
+  lastResize: ?{ callbackData: Object, position: Object } = null;
+  // Watches the content of `autoHeight` items, see `observeContentHeight`
+  heightObserver: ?ResizeObserver = null;
 
   shouldComponentUpdate(nextProps, nextState) {
     // We can't deeply compare children. If the developer memoizes them, we can
     // use this optimization.
     if (this.props.children !== nextProps.children) return true;
     if (this.props.droppingPosition !== nextProps.droppingPosition) return true;
+    if (this.props.autoHeight !== nextProps.autoHeight) return true;
+    if (this.state.nestedDrags !== nextState.nestedDrags) return true;
     // TODO memoize these calculations so they don't take so long?
     const oldPosition = calcGridItemPosition(
       this.getPositionParams(this.props),
@@ -155,18 +228,92 @@ export default class GridItem extends React.Component {
     );
     return (
       !fastPositionEqual(oldPosition, newPosition) ||
-      this.props.useCSSTransforms !== nextProps.useCSSTransforms
+      this.props.useCSSTransforms !== nextProps.useCSSTransforms ||
+      this.props.usePercentages !== nextProps.usePercentages ||
+      this.props.useCSSGrid !== nextProps.useCSSGrid
     );
   }
 
   componentDidMount() {
     this.moveDroppingItem({});
+    this.observeContentHeight();
+    const node = this.elementRef.current;
+    if (node) node.addEventListener(NESTED_DRAG_EVENT, this.onNestedDrag);
+  }
+
+  // Leaving the server-rendered percentages for transforms moves nothing on screen,
+  // so it must not animate from the top left corner.
+  // 从服务端渲染的百分比切换到 transform 时位置不变，不能从左上角动画过来。
+  getSnapshotBeforeUpdate(prevProps) {
+    const node = this.elementRef.current;
+    if (!node || !prevProps.usePercentages || this.props.usePercentages) {
+      return null;
+    }
+    node.style.transition = "none";
+    return true;
   }
 
-  componentDidUpdate(prevProps) {
+  componentDidUpdate(prevProps, prevState, hydrated) {
+    if (hydrated) {
+      const node = this.elementRef.current;
+      // Flush styles while transitions are off
+      // 在关闭过渡时刷新样式
+      node.getBoundingClientRect();
+      node.style.transition = "";
+    }
     this.moveDroppingItem(prevProps);
+    if (this.props.autoHeight !== prevProps.autoHeight) {
+      this.observeContentHeight();
+    }
   }
 
+  componentWillUnmount() {
+    this.stopAutoScroll();
+    if (this.heightObserver) this.heightObserver.disconnect();
+    const node = this.elementRef.current;
+    if (node) {
+      node.removeEventListener(NESTED_DRAG_EVENT, this.onNestedDrag);
+      if (this.state.dragging) notifyNestedDrag(node, false);
+    }
+  }
+
+  // An item of a grid nested in this item starts or stops being dragged. It bubbles up
+  // through every item it is nested in, which get the `nested-dragging` class meanwhile.
+  // 嵌套在此 item 中的网格的 item 开始或结束拖拽。
+  onNestedDrag: (e: CustomEvent) => void = e => {
+    if (e.target === this.elementRef.current) return;
+    const change = e.detail ? 1 : -1;
+    this.setState(state => ({
+      nestedDrags: Math.max(state.nestedDrags + change, 0)
+    }));
+  };
+
+  // autoHeight: watch the first child element, which is the item's content.
+  // autoHeight：监听第一个子元素（item 的内容）的尺寸
+  observeContentHeight() {
+    if (this.heightObserver) this.heightObserver.disconnect();
+    this.heightObserver = null;
+    const node = this.elementRef.current;
+    const content = node && node.firstElementChild;
+    if (!this.props.autoHeight || !content) return;
+    this.heightObserver = new ResizeObserver(this.onContentResize);
+    this.heightObserver.observe(content);
+  }
+
+  // Rows the content needs, reported to the grid which resizes and compacts the layout.
+  onContentResize = () => {
+    const { i, y, h, onAutoHeight } = this.props;
+    const node = this.elementRef.current;
+    const content = node && node.firstElementChild;
+    if (!onAutoHeight || !content) return;
+    const rows = calcRowsForHeight(
+      this.getPositionParams(),
+      y,
+      content.offsetHeight
+    );
+    if (rows !== h) onAutoHeight(i, rows);
+  };
+
   // When a droppingPosition is present, this means we should fire a move event, as if we had moved
   //当出现droppingPosition时，这意味着我们应该触发一个移动事件，就好像我们已经移动了一样
   // this element by `x, y` pixels.
@@ -219,11 +366,26 @@ export default class GridItem extends React.Component {
       // 项目之间的边距[x，y]（以像素为单位）。
       margin: props.margin,
       maxRows: props.maxRows,
+      maxCols: props.maxCols,
+      // 固定列宽（px），未设置时按 containerWidth 计算
+      colWidth: props.colWidth,
+      // 从右到左时 x 从右边开始
+      direction: props.direction,
       // 网格单元的高度大小基于rowHeight，实际像素高度是(rowHeight * h) + (marginH * (h - 1)，marginH对应的margin
       rowHeight: props.rowHeight
     };
   }
 
+  // CSS Grid places the item unless it is dragged or resized, which needs px.
+  // 除拖拽或缩放时（需要 px）外，由 CSS Grid 放置 item。
+  inCSSGrid() {
+    return (
+      Boolean(this.props.useCSSGrid) &&
+      !this.state.dragging &&
+      !this.state.resizing
+    );
+  }
+
   /**
    * This is where we set the grid item's absolute placement. It gets a little tricky because we want to do it
    * well when server rendering, and the only way to do that properly is to use percentage width/left because
@@ -235,7 +397,10 @@ export default class GridItem extends React.Component {
    * @return {Object}     Style object.
    */
   createStyle(pos) {
-    const { usePercentages, containerWidth, useCSSTransforms } = this.props;
+    const { usePercentages, useCSSTransforms, useCSSGrid, direction } =
+      this.props;
+
+    if (this.inCSSGrid()) return setGridArea(this.props);
 
     let style;
     // CSS Transforms support (default)
@@ -245,13 +410,29 @@ export default class GridItem extends React.Component {
       // top,left (slow)
       style = setTopLeft(pos);
 
-      // This is used for server rendering.
+      // This is used for server rendering: left and width follow the container width,
+      // so the markup is right before the width is measured.
+      // 用于服务端渲染：left 和 width 随容器宽度变化，测量宽度之前标记也是正确的。
       if (usePercentages) {
-        style.left = perc(pos.left / containerWidth);
-        style.width = perc(pos.width / containerWidth);
+        Object.assign(
+          style,
+          calcGridItemPercentages(
+            this.getPositionParams(),
+            this.props.x,
+            this.props.w
+          )
+        );
       }
     }
 
+    // Translate from the container's top left padding edge: not from the grid area when
+    // taken out of a CSS Grid, nor from the right edge in a dir="rtl" container.
+    // 从容器内边距的左上角平移：脱离网格时不从网格区域，rtl 容器中也不从右侧边缘。
+    if (useCSSTransforms && (useCSSGrid || direction === "rtl")) {
+      style.top = 0;
+      style.left = 0;
+    }
+
     return style;
   }
 
@@ -271,8 +452,9 @@ export default class GridItem extends React.Component {
         onDrag={this.onDrag}
         onStop={this.onDragStop}
         handle={this.props.handle}
+        // Items of a grid nested in this one are dragged by that grid, not with this item
         cancel={
-          ".react-resizable-handle" +
+          ".react-resizable-handle,.react-grid-layout" +
           (this.props.cancel ? "," + this.props.cancel : "")
         }
         scale={this.props.transformScale}
@@ -305,6 +487,7 @@ export default class GridItem extends React.Component {
   ) {
     const {
       cols,
+      y,
       minW,
       minH,
       maxW,
@@ -318,9 +501,9 @@ export default class GridItem extends React.Component {
     // This is the max possible width - doesn't go to infinity because of the width of the window
     const maxWidth = calcGridItemPosition(positionParams, 0, 0, cols, 0).width;
 
-    // Calculate min/max constraints using our min & maxes
-    const mins = calcGridItemPosition(positionParams, 0, 0, minW, minH);
-    const maxes = calcGridItemPosition(positionParams, 0, 0, maxW, maxH);
+    // Calculate min/max constraints using our min & maxes, from our row as rows can differ
+    const mins = calcGridItemPosition(positionParams, 0, y, minW, minH);
+    const maxes = calcGridItemPosition(positionParams, 0, y, maxW, maxH);
     const minConstraints = [mins.width, mins.height];
     const maxConstraints = [
       Math.min(maxes.width, maxWidth),
@@ -337,11 +520,16 @@ export default class GridItem extends React.Component {
         height={position.height}
         minConstraints={minConstraints}
         maxConstraints={maxConstraints}
+        lockAspectRatio={Boolean(this.props.aspectRatio)}
         onResizeStop={this.curryResizeHandler(position, this.onResizeStop)}
         onResizeStart={this.curryResizeHandler(position, this.onResizeStart)}
         onResize={this.curryResizeHandler(position, this.onResize)}
         transformScale={transformScale}
-        resizeHandles={resizeHandles}
+        resizeHandles={
+          this.props.direction === "rtl" && resizeHandles
+            ? resizeHandles.map(mirrorHandle)
+            : resizeHandles
+        }
         handle={resizeHandle}
       >
         {child}
@@ -375,6 +563,11 @@ export default class GridItem extends React.Component {
     newPosition.top = cTop - pTop + offsetParent.scrollTop;
     // 拖拽元素的位置
     this.setState({ dragging: newPosition });
+    notifyNestedDrag(node, true);
+    // Items dropped in from outside: the grid scrolls for them
+    if (!this.props.droppingPosition) {
+      this.startAutoScroll(this.onDragAutoScroll);
+    }
 
     // Call callback with this data
     const { x, y } = calcXY(
@@ -407,6 +600,11 @@ export default class GridItem extends React.Component {
     if (!this.state.dragging) {
       throw new Error("onDrag called before onDragStart.");
     }
+    // DraggableCore's delta includes what was auto-scrolled since its last event,
+    // and onDragAutoScroll() has already moved the item by that much.
+    const scrolled = this.takeAutoScrolled();
+    deltaX -= scrolled.left;
+    deltaY -= scrolled.top;
     let top = this.state.dragging.top + deltaY;
     let left = this.state.dragging.left + deltaX;
 
@@ -418,9 +616,10 @@ export default class GridItem extends React.Component {
       const { offsetParent } = node;
 
       if (offsetParent) {
-        const { margin, rowHeight, containerPadding } = this.props;
+        const { margin, containerPadding } = this.props;
         const bottomBoundary =
-          offsetParent.clientHeight - calcGridItemWHPx(h, rowHeight, margin[1]);
+          offsetParent.clientHeight -
+          calcRowsHeight(positionParams, this.props.y, h);
         top = clamp(top - containerPadding[1], 0, bottomBoundary);
 
         const colWidth = calcGridColWidth(positionParams);
@@ -432,6 +631,7 @@ export default class GridItem extends React.Component {
 
     const newPosition = { top, left };
     this.setState({ dragging: newPosition });
+    this.updateAutoScroll(e);
 
     // Call callback with this data
     const { containerPadding } = this.props;
@@ -465,6 +665,8 @@ export default class GridItem extends React.Component {
     const { left, top } = this.state.dragging;
     const newPosition = { top, left };
     this.setState({ dragging: null });
+    notifyNestedDrag(node, false);
+    this.stopAutoScroll();
 
     const { x, y } = calcXY(
       this.getPositionParams(),
@@ -494,8 +696,22 @@ export default class GridItem extends React.Component {
     this.onResizeHandler(e, callbackData, position, "onResizeStart");
 
   // onResize event handler
-  onResize = (e, callbackData, position) =>
+  onResize = (e, callbackData, position) => {
+    // Like DraggableCore, Resizable counts what was auto-scrolled since its last event,
+    // and onResizeAutoScroll() has already grown the item by that much.
+    const scrolled = this.takeAutoScrolled();
+    const { size } = callbackData;
+    callbackData = {
+      ...callbackData,
+      size: {
+        width: size.width - scrolled.left,
+        height: size.height - scrolled.top
+      }
+    };
+    this.lastResize = { callbackData, position };
+    this.updateAutoScroll(e);
     this.onResizeHandler(e, callbackData, position, "onResize");
+  };
 
   /**
    * Wrapper around resize events to provide more useful data.
@@ -524,6 +740,9 @@ export default class GridItem extends React.Component {
         resizing: handlerName === "onResizeStop" ? null : updatedSize
       });
     }
+    // The handle as the layout sees it; `handle` is the one on screen
+    const gridHandle =
+      this.props.direction === "rtl" && handle ? mirrorHandle(handle) : handle;
 
     // Get new XY based on pixel size
     let { w, h } = calcWH(
@@ -532,15 +751,275 @@ export default class GridItem extends React.Component {
       updatedSize.height,
       x,
       y,
-      handle
+      gridHandle,
+      y + this.props.h
     );
 
     // Min/max capping.
     // minW should be at least 1 (TODO propTypes validation?)
     w = clamp(w, Math.max(minW, 1), maxW);
     h = clamp(h, minH, maxH);
+    if (this.props.aspectRatio) {
+      ({ w, h } = this.keepAspectRatio(w, h, gridHandle));
+    }
+
+    if (handlerName === "onResizeStart") {
+      this.startAutoScroll(this.onResizeAutoScroll);
+    } else if (handlerName === "onResizeStop") {
+      this.stopAutoScroll();
+    }
+
+    handler.call(this, i, w, h, {
+      e,
+      node,
+      size: updatedSize,
+      handle: gridHandle
+    });
+  }
 
-    handler.call(this, i, w, h, { e, node, size: updatedSize, handle });
+  /**
+   * The size nearest to `w` and `h` that keeps `aspectRatio`, within the item's min and
+   * max and the grid's edges.
+   * @param  {Number} w      W asked for, in grid units.
+   * @param  {Number} h      H asked for, in grid units.
+   * @param  {String} handle Resize handle.
+   * @return {Object}        {w, h}
+   */
+  keepAspectRatio(w, h, handle) {
+    const { x, y, minW, maxW, minH, maxH, maxRows } = this.props;
+    const { aspectRatio, aspectRatioUnits } = this.props;
+    const cols = this.props.maxCols || this.props.cols;
+    const bottom = y + this.props.h;
+    // West and north handles grow the item towards the grid's first column or row
+    const west = ["sw", "w", "nw"].indexOf(handle) !== -1;
+    const north = ["nw", "n", "ne"].indexOf(handle) !== -1;
+    return calcAspectWH(this.getPositionParams(), w, h, y, bottom, handle, {
+      aspectRatio,
+      aspectRatioUnits,
+      minW,
+      minH,
+      maxW: Math.min(maxW, west ? x + this.props.w : cols - x),
+      maxH: Math.min(maxH, north ? bottom : maxRows - y)
+    });
+  }
+
+  /**
+   * Auto-scroll the grid's scroll container (or the page) while the pointer is held near
+   * its edges. On with `autoScrollSpeed`.
+   * 拖拽或缩放时靠近滚动容器边缘自动滚动。
+   * @param {Function} onScroll Called with the px scrolled after each step.
+   */
+  startAutoScroll(onScroll) {
+    this.stopAutoScroll();
+    const { autoScrollSpeed } = this.props;
+    const node = this.elementRef.current;
+    if (!autoScrollSpeed || !node || !node.offsetParent) return;
+    this.autoScroller = new AutoScroller(
+      getScrollParent(node.offsetParent),
+      autoScrollSpeed,
+      onScroll
+    );
+  }
+
+  updateAutoScroll(e) {
+    const point = getClientPosition(e);
+    if (!this.autoScroller || !point) return;
+    this.autoScrollEvent = e;
+    this.autoScroller.update(point.clientX, point.clientY);
+  }
+
+  stopAutoScroll() {
+    if (this.autoScroller) this.autoScroller.stop();
+    this.autoScroller = null;
+    this.autoScrollEvent = null;
+    this.lastResize = null;
+    this.autoScrolled = { left: 0, top: 0 };
+  }
+
+  // What was auto-scrolled since the last pointer event, in grid px. Resets it.
+  takeAutoScrolled() {
+    const scrolled = this.autoScrolled;
+    this.autoScrolled = { left: 0, top: 0 };
+    return scrolled;
+  }
+
+  // Keep the dragged item under the pointer while the page scrolls under it.
+  onDragAutoScroll = (left, top) => {
+    const node = this.elementRef.current;
+    if (!this.state.dragging || !node) return;
+    const { transformScale } = this.props;
+    const scrolled = {
+      left: this.autoScrolled.left + left / transformScale,
+      top: this.autoScrolled.top + top / transformScale
+    };
+    // onDrag() takes off what was pending, so move by all of it
+    this.onDrag(this.autoScrollEvent, {
+      node,
+      deltaX: scrolled.left,
+      deltaY: scrolled.top
+    });
+    this.autoScrolled = scrolled;
+  };
+
+  // Grow the item towards the pointer while the page scrolls under it.
+  // Only the right and bottom edges follow; react-resizable already accounts for
+  // the handle moving on the left and top ones.
+  onResizeAutoScroll = (left, top) => {
+    const { lastResize } = this;
+    if (!this.state.resizing || !lastResize) return;
+    const { transformScale } = this.props;
+    const { callbackData, position } = lastResize;
+    const { handle } = callbackData;
+    const grow = {
+      left: /e$/.test(handle) ? left / transformScale : 0,
+      top: /^s/.test(handle) ? top / transformScale : 0
+    };
+    if (!grow.left && !grow.top) return;
+
+    const { width, height } = this.state.resizing;
+    const data = {
+      ...callbackData,
+      size: { width: width + grow.left, height: height + grow.top }
+    };
+    this.lastResize = { callbackData: data, position };
+    this.onResizeHandler(this.autoScrollEvent, data, position, "onResize");
+    this.autoScrolled = {
+      left: this.autoScrolled.left + grow.left,
+      top: this.autoScrolled.top + grow.top
+    };
+  };
+
+  /**
+   * Keyboard support, on with `isKeyboardAccessible`.
+   * 键盘移动和缩放。
+   *
+   * Arrow keys move the item one grid unit, Shift+arrow keys resize it. The first key press
+   * starts a drag (or resize) through the same callbacks as the mouse, Enter or moving
+   * focus away ends it, and Escape reverts it.
+   * @param  {Event} e keydown event
+   */
+  onKeyDown = e => {
+    const childOnKeyDown = React.Children.only(this.props.children).props
+      .onKeyDown;
+    if (childOnKeyDown) childOnKeyDown(e);
+
+    const node = this.elementRef.current;
+    // Keys pressed in the item's content (inputs etc.) are none of our business
+    if (e.defaultPrevented || !node || e.target !== node) return;
+
+    if (e.key === "Escape" || e.key === "Enter") {
+      if (!this.keyboardAction) return;
+      e.preventDefault();
+      if (e.key === "Escape") {
+        this.keyboardAction = null;
+        this.props.onKeyboardCancel?.(this.props.i, { e, node });
+      } else {
+        this.stopKeyboardAction(e);
+      }
+      return;
+    }
+
+    const delta = arrowKeyDeltas[e.key];
+    if (!delta || e.altKey || e.ctrlKey || e.metaKey) return;
+    const action = e.shiftKey ? "resize" : "move";
+    if (action === "move" ? !this.props.isDraggable : !this.props.isResizable) {
+      return;
+    }
+    e.preventDefault();
+
+    if (this.keyboardAction !== action) {
+      if (this.keyboardAction) this.stopKeyboardAction(e);
+      this.startKeyboardAction(action, e);
+    }
+
+    const { i, x, y, w, h, maxRows, minW, maxW, minH, maxH } = this.props;
+    const cols = this.props.maxCols || this.props.cols;
+    // Arrow keys go the way they point, so right to left they count x down
+    const dx = this.props.direction === "rtl" ? -delta[0] : delta[0];
+    const dy = delta[1];
+    if (action === "move") {
+      const newX = clamp(x + dx, 0, Math.max(cols - w, 0));
+      const newY = clamp(y + dy, 0, Math.max(maxRows - h, 0));
+      if (newX === x && newY === y) return;
+      this.props.onDrag?.(i, newX, newY, { e, node, keyboard: true });
+    } else {
+      let newW = clamp(w + dx, Math.max(minW, 1), Math.min(maxW, cols - x));
+      let newH = clamp(h + dy, minH, maxH);
+      if (this.props.aspectRatio) {
+        const handle = dx ? "e" : "s";
+        ({ w: newW, h: newH } = this.keepAspectRatio(newW, newH, handle));
+      }
+      if (newW === w && newH === h) return;
+      this.props.onResize?.(i, newW, newH, {
+        e,
+        node,
+        handle: "se",
+        keyboard: true
+      });
+    }
+  };
+
+  onBlur = e => {
+    const childOnBlur = React.Children.only(this.props.children).props.onBlur;
+    if (childOnBlur) childOnBlur(e);
+    if (this.keyboardAction && e.target === this.elementRef.current) {
+      this.stopKeyboardAction(e);
+    }
+  };
+
+  startKeyboardAction(action, e) {
+    const { i, x, y, w, h } = this.props;
+    const node = this.elementRef.current;
+    this.keyboardAction = action;
+    if (action === "move") {
+      this.props.onDragStart?.(i, x, y, { e, node, keyboard: true });
+    } else {
+      this.props.onResizeStart?.(i, w, h, { e, node, keyboard: true });
+    }
+  }
+
+  stopKeyboardAction(e) {
+    const { i, x, y, w, h } = this.props;
+    const node = this.elementRef.current;
+    const action = this.keyboardAction;
+    this.keyboardAction = null;
+    if (action === "move") {
+      this.props.onDragStop?.(i, x, y, { e, node, keyboard: true });
+    } else {
+      this.props.onResizeStop?.(i, w, h, { e, node, keyboard: true });
+    }
+  }
+
+  /**
+   * Props that make the item focusable and describe it to assistive technology.
+   * Anything the child sets itself wins.
+   */
+  getKeyboardProps(child) {
+    const { isKeyboardAccessible, isDraggable, isResizable } = this.props;
+    if (!isKeyboardAccessible || (!isDraggable && !isResizable)) return null;
+
+    const shortcuts = [];
+    if (isDraggable) {
+      shortcuts.push("ArrowUp ArrowDown ArrowLeft ArrowRight");
+    }
+    if (isResizable) {
+      shortcuts.push(
+        "Shift+ArrowUp Shift+ArrowDown Shift+ArrowLeft Shift+ArrowRight"
+      );
+    }
+    shortcuts.push("Enter Escape");
+
+    return {
+      tabIndex: child.props.tabIndex ?? 0,
+      role: child.props.role || "group",
+      "aria-roledescription":
+        child.props["aria-roledescription"] ||
+        (isDraggable ? "movable grid item" : "resizable grid item"),
+      "aria-keyshortcuts":
+        child.props["aria-keyshortcuts"] || shortcuts.join(" "),
+      onKeyDown: this.onKeyDown,
+      onBlur: this.onBlur
+    };
   }
 
   render() {
@@ -567,6 +1046,7 @@ export default class GridItem extends React.Component {
 
     // Create the child element. We clone the existing element but modify its className and style.
     let newChild = React.cloneElement(child, {
+      ...this.getKeyboardProps(child),
       ref: this.elementRef,
       className: clsx(
         "react-grid-item",
@@ -577,9 +1057,10 @@ export default class GridItem extends React.Component {
           resizing: Boolean(this.state.resizing),
           "react-draggable": isDraggable,
           "react-draggable-dragging": Boolean(this.state.dragging),
+          "nested-dragging": this.state.nestedDrags > 0,
           // droppingPosition 为 true 的时候，dropping 的样式为 visibility: hidden;
           dropping: Boolean(droppingPosition),
-          cssTransforms: useCSSTransforms
+          cssTransforms: useCSSTransforms && !this.inCSSGrid()
         }
       ),
       // We can set the width and height on the child, but unfortunately we can't set the position.
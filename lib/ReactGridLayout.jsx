@@ -4,28 +4,54 @@ import * as React from "react";
 import { deepEqual } from "fast-equals";
 import clsx from "clsx";
 import {
+  applyLayoutPatch,
   bottom,
   childrenEqual,
+  cloneLayout,
   cloneLayoutItem,
   compact,
   compactType,
+  diffLayouts,
   fastRGLPropsEqual,
   getAllCollisions,
+  getClientPosition,
+  getLayoutGroups,
   getLayoutItem,
+  getSwapTarget,
+  GROUP_ITEM_ID,
+  groupLayoutItems,
   moveElement,
   noop,
+  packLayout,
+  right,
+  swapElements,
   synchronizeLayoutWithChildren,
+  ungroupLayoutItems,
+  withLayoutGroupsAsItems,
   withLayoutItem
 } from "./utils";
 
-import { calcXY } from "./calculateUtils";
+import {
+  calcColCount,
+  calcGridColWidth,
+  calcGridItemPosition,
+  calcGridTemplate,
+  calcRowsHeight,
+  calcXY,
+  clamp
+} from "./calculateUtils";
 
 import GridItem from "./GridItem";
+import AutoScroller, { getScrollParent } from "./AutoScroller";
+import { GridGroupContext } from "./GridGroup";
+import SpatialIndex from "./SpatialIndex";
 import ReactGridLayoutPropTypes from "./ReactGridLayoutPropTypes";
 
 // End Types
 
 const layoutClassName = "react-grid-layout";
+// Id prefix of the static items standing in for remote placeholders, see withReservedSpace()
+const REMOTE_PLACEHOLDER_ID = "__remote__";
 let isFirefox = false;
 // Try...catch will protect from navigator not existing (e.g. node) or a bad implementation of navigator
 try {
@@ -34,6 +60,62 @@ try {
   /* Ignore */
 }
 
+// Hides the live region visually while keeping it readable by screen readers.
+const visuallyHiddenStyle = {
+  position: "absolute",
+  width: 1,
+  height: 1,
+  margin: -1,
+  padding: 0,
+  border: 0,
+  overflow: "hidden",
+  clip: "rect(0 0 0 0)",
+  whiteSpace: "nowrap"
+};
+
+/**
+ * Default text read out after a keyboard move, resize or cancel.
+ * Override with the `keyboardAnnouncement` prop, e.g. to translate it.
+ * @param  {String}     action "move", "resize", "drop" or "cancel".
+ * @param  {LayoutItem} l      The item after the action.
+ * @return {String}            Text for the live region.
+ */
+function defaultKeyboardAnnouncement(action, l) {
+  const where = `x ${l.x}, y ${l.y}, w ${l.w}, h ${l.h}`;
+  switch (action) {
+    case "move":
+      return `Moved ${l.i} to ${where}.`;
+    case "resize":
+      return `Resized ${l.i} to ${where}.`;
+    case "drop":
+      return `Dropped ${l.i} at ${where}.`;
+    default:
+      return `Cancelled. ${l.i} is back at ${where}.`;
+  }
+}
+
+// Placeholder (display only) for where `l` is.
+function placeholderFor(l) {
+  return { w: l.w, h: l.h, x: l.x, y: l.y, placeholder: true, i: l.i };
+}
+
+// Columns of the grid: `cols`, or those that fit the width when `colWidth` is fixed.
+function gridCols(props) {
+  const { cols, colWidth, margin, containerPadding, width } = props;
+  return calcColCount({
+    cols,
+    colWidth,
+    margin,
+    containerPadding: containerPadding || margin,
+    containerWidth: width
+  });
+}
+
+// True if the mouse event asks to add to the selection rather than replace it.
+function isAdditive(e) {
+  return Boolean(e && (e.ctrlKey || e.metaKey || e.shiftKey));
+}
+
 /**
  * A reactive, fluid grid layout with draggable, resizable components.
  */
@@ -45,6 +127,9 @@ export default class ReactGridLayout extends React.Component {
   // Refactored to another module to make way for preval
   static propTypes = ReactGridLayoutPropTypes;
 
+  // Set when rendered inside a <GridGroup>
+  static contextType = GridGroupContext;
+
   static defaultProps = {
     autoSize: true,
     cols: 12,
@@ -63,9 +148,14 @@ export default class ReactGridLayout extends React.Component {
     allowOverlap: false,
     isDroppable: false,
     useCSSTransforms: true,
+    useCSSGrid: false,
     transformScale: 1,
     verticalCompact: true,
     compactType: "vertical",
+    growHorizontally: false,
+    direction: "ltr",
+    // "push" moves colliding items out of the way, "swap" trades places with them
+    dragMode: "push",
     // 如果true,栅栏不会改变位置
     // 拖拽也是一样
     preventCollision: false,
@@ -76,6 +166,14 @@ export default class ReactGridLayout extends React.Component {
       w: 1
     },
     resizeHandles: ["se"],
+    historyLimit: 50,
+    undoKeyBindings: false,
+    reserveRemotePlaceholders: false,
+    isKeyboardAccessible: false,
+    isSelectable: false,
+    // Scroll the page or scroll container when dragging near its edges
+    autoScroll: false,
+    autoScrollSpeed: 20,
     onLayoutChange: noop,
     onDragStart: noop,
     onDrag: noop,
@@ -84,7 +182,8 @@ export default class ReactGridLayout extends React.Component {
     onResize: noop,
     onResizeStop: noop,
     onDrop: noop,
-    onDropDragOver: noop
+    onDropDragOver: noop,
+    onSelectionChange: noop
   };
 
   state = {
@@ -92,10 +191,12 @@ export default class ReactGridLayout extends React.Component {
     layout: synchronizeLayoutWithChildren(
       this.props.layout,
       this.props.children,
-      this.props.cols,
+      gridCols(this.props),
       // Legacy support for verticalCompact: false
       compactType(this.props),
-      this.props.allowOverlap
+      this.props.allowOverlap,
+      this.props.maxRows,
+      this.props.growHorizontally
     ),
     mounted: false,
     oldDragItem: null,
@@ -103,16 +204,61 @@ export default class ReactGridLayout extends React.Component {
     oldResizeItem: null,
     resizing: false,
     droppingDOMNode: null,
+    // Text of the live region for keyboard moves/resizes
+    announcement: "",
+    // Selected item ids, unless the `selected` prop controls them
+    selected: [],
+    // Placeholders of all the items of the group being dragged
+    activeDragGroup: null,
+    // {left, top, width, height} of the lasso being drawn, in px
+    lasso: null,
     children: []
   };
 
   dragEnterCounter = 0;
 
+  // The grid's own DOM node, see `setContainerNode`
+  containerNode = null;
+  // GridGroup: grid of the group the item being dragged from here is over
+  transferTarget = null;
+  // GridGroup: {layout, x, y} while an item from another grid is dragged over this one
+  externalDrag = null;
+
+  // Auto-scroll for items dragged in from outside, see `onDragOver`
+  autoScroller = null;
+  // The <DraggableSource> drag the dropping item belongs to, see `onSourceDragOver`
+  droppingSource = null;
+
+  // Ids of the items dragged together with the current one, see `selectOnDragStart`
+  dragGroup = null;
+  // Where the lasso started, see `onLassoStart`
+  lassoStart = null;
+  // autoHeight: rows reported by items since the last frame, by id; see `onAutoHeight`
+  autoHeights = {};
+  autoHeightFrame = null;
+
+  // Layouts before (past) and after (future) each committed change, oldest first.
+  // 撤销/重做的布局历史
+  history = { past: [], future: [] };
+
   componentDidMount() {
     this.setState({ mounted: true });
     // Possibly call back with layout on mount. This should be done after correcting the layout width
     // to ensure we don't rerender with the wrong width.
     this.onLayoutMaybeChanged(this.state.layout, this.props.layout);
+    if (this.props.undoKeyBindings) {
+      document.addEventListener("keydown", this.onHistoryKeyDown);
+    }
+    if (this.context) this.context.register(this);
+  }
+
+  componentWillUnmount() {
+    document.removeEventListener("keydown", this.onHistoryKeyDown);
+    document.removeEventListener("mousemove", this.onLassoMove);
+    document.removeEventListener("mouseup", this.onLassoEnd);
+    this.stopAutoScroll();
+    if (this.autoHeightFrame != null) cancelAnimationFrame(this.autoHeightFrame);
+    if (this.context) this.context.unregister(this);
   }
 
   static getDerivedStateFromProps(
@@ -121,6 +267,8 @@ export default class ReactGridLayout extends React.Component {
   ) {
     let newLayoutBase;
 
+    // A `layout` prop changed meanwhile is applied when the drag or resize stops,
+    // see withLayoutPropChanges()
     if (prevState.activeDrag) {
       return null;
     }
@@ -132,10 +280,13 @@ export default class ReactGridLayout extends React.Component {
       nextProps.compactType !== prevState.compactType
     ) {
       newLayoutBase = nextProps.layout;
-    } else if (!childrenEqual(nextProps.children, prevState.children)) {
+    } else if (
+      !childrenEqual(nextProps.children, prevState.children) ||
+      gridCols(nextProps) !== prevState.cols
+    ) {
       // If children change, also regenerate the layout. Use our state
       // as the base in case because it may be more up to date than
-      // what is in props.
+      // what is in props. Same when a fixed colWidth fits more or fewer columns.
       newLayoutBase = prevState.layout;
     }
 
@@ -144,9 +295,11 @@ export default class ReactGridLayout extends React.Component {
       const newLayout = synchronizeLayoutWithChildren(
         newLayoutBase,
         nextProps.children,
-        nextProps.cols,
+        gridCols(nextProps),
         compactType(nextProps),
-        nextProps.allowOverlap
+        nextProps.allowOverlap,
+        nextProps.maxRows,
+        nextProps.growHorizontally
       );
 
       return {
@@ -154,6 +307,7 @@ export default class ReactGridLayout extends React.Component {
         // We need to save these props to state for using
         // getDerivedStateFromProps instead of componentDidMount (in which we would get extra rerender)
         compactType: nextProps.compactType,
+        cols: gridCols(nextProps),
         children: nextProps.children,
         propsLayout: nextProps.layout
       };
@@ -171,7 +325,12 @@ export default class ReactGridLayout extends React.Component {
       !fastRGLPropsEqual(this.props, nextProps, deepEqual) ||
       this.state.activeDrag !== nextState.activeDrag ||
       this.state.mounted !== nextState.mounted ||
-      this.state.droppingPosition !== nextState.droppingPosition
+      this.state.droppingPosition !== nextState.droppingPosition ||
+      // undo() and redo() only change the layout
+      this.state.layout !== nextState.layout ||
+      this.state.announcement !== nextState.announcement ||
+      this.state.selected !== nextState.selected ||
+      this.state.lasso !== nextState.lasso
     );
   }
 
@@ -181,27 +340,238 @@ export default class ReactGridLayout extends React.Component {
       const oldLayout = prevState.layout;
 
       this.onLayoutMaybeChanged(newLayout, oldLayout);
+      // Heights reported during the drag or resize
+      if (prevState.activeDrag) this.scheduleAutoHeights();
+    }
+
+    if (this.props.undoKeyBindings !== prevProps.undoKeyBindings) {
+      if (this.props.undoKeyBindings) {
+        document.addEventListener("keydown", this.onHistoryKeyDown);
+      } else {
+        document.removeEventListener("keydown", this.onHistoryKeyDown);
+      }
     }
   }
 
   /**
    * Calculates a pixel value for the container.
+   * A grid compacted horizontally with a finite maxRows is always maxRows rows high.
    * @return {String} Container height in pixels.
    */
   containerHeight() {
     if (!this.props.autoSize) return;
-    const nbRow = bottom(this.state.layout);
+    const { maxRows } = this.props;
+    const nbRow =
+      compactType(this.props) === "horizontal" && Number.isFinite(maxRows)
+        ? maxRows
+        : bottom(this.state.layout);
+    const { rowHeight, margin } = this.props;
     const containerPaddingY = this.props.containerPadding
       ? this.props.containerPadding[1]
       : this.props.margin[1];
-    return (
-      nbRow * this.props.rowHeight +
-      (nbRow - 1) * this.props.margin[1] +
-      containerPaddingY * 2 +
-      "px"
+    const rowsHeight =
+      typeof rowHeight === "number"
+        ? nbRow * rowHeight + (nbRow - 1) * margin[1]
+        : calcRowsHeight({ rowHeight, margin }, 0, nbRow);
+    return rowsHeight + containerPaddingY * 2 + "px";
+  }
+
+  /**
+   * Style of the container for `useCSSGrid`: columns, rows and gaps of the grid.
+   * @return {Object} Style.
+   */
+  gridTemplate() {
+    const { colWidth, margin, containerPadding, rowHeight } = this.props;
+    return calcGridTemplate(
+      {
+        cols: gridCols(this.props),
+        colWidth,
+        margin,
+        containerPadding: containerPadding || margin,
+        rowHeight
+      },
+      bottom(this.state.layout)
     );
   }
 
+  /**
+   * Width of the columns plus padding, if they don't fit the grid's width: the grid is
+   * compacted horizontally and items go past the last column, or `colWidth` is fixed.
+   * The container then scrolls to show them.
+   * @return {?Number} Width in px.
+   */
+  containerWidth() {
+    const { autoSize, colWidth, margin, containerPadding, width } = this.props;
+    const cols = gridCols(this.props);
+    if (!autoSize) return;
+    const nbCol =
+      compactType(this.props) === "horizontal"
+        ? Math.max(right(this.state.layout), cols)
+        : cols;
+    if (colWidth == null && nbCol <= cols) return;
+    const positionParams = {
+      cols,
+      colWidth,
+      margin,
+      containerPadding: containerPadding || margin,
+      containerWidth: width
+    };
+    const contentWidth =
+      nbCol * calcGridColWidth(positionParams) +
+      (nbCol - 1) * margin[0] +
+      positionParams.containerPadding[0] * 2;
+    return contentWidth > width ? contentWidth : undefined;
+  }
+
+  // Columns items can go to: all of them when the grid grows to the right, see GridItem
+  maxCols() {
+    const { growHorizontally } = this.props;
+    return growHorizontally && compactType(this.props) === "horizontal"
+      ? Infinity
+      : undefined;
+  }
+
+  // compact() with this grid's settings
+  compactLayout(layout) {
+    const { allowOverlap, maxRows, growHorizontally } = this.props;
+    const cols = gridCols(this.props);
+    const { activeDrag } = this.state;
+    return this.withReservedSpace(layout, activeDrag && activeDrag.i, l =>
+      compact(
+        l,
+        compactType(this.props),
+        cols,
+        allowOverlap,
+        maxRows,
+        growHorizontally
+      )
+    );
+  }
+
+  /**
+   * With `reserveRemotePlaceholders`, during a drag or resize, run `fn` on the layout with
+   * the remote placeholders in it as static items, so that items go around them. Items
+   * other users are dragging are static meanwhile too, except the one moved here.
+   * 拖拽或缩放时，将其他用户的占位元素作为静态元素，本地元素会避开它们。
+   * @param  {Array}    layout Layout.
+   * @param  {?String}  i      Id of the item moved here.
+   * @param  {Function} fn     Called with the layout, returns a new layout.
+   * @return {Array}           Layout returned by `fn`, without the remote placeholders.
+   */
+  withReservedSpace(layout, i, fn) {
+    const { remotePlaceholders, reserveRemotePlaceholders } = this.props;
+    if (
+      !reserveRemotePlaceholders ||
+      !remotePlaceholders ||
+      !remotePlaceholders.length ||
+      !this.state.activeDrag
+    ) {
+      return fn(layout);
+    }
+
+    const reserved = {};
+    const held = {};
+    const placeholders = remotePlaceholders.map(p => {
+      const id = `${REMOTE_PLACEHOLDER_ID}:${p.i}`;
+      reserved[id] = true;
+      if (p.i !== i) held[p.i] = true;
+      return {
+        i: id,
+        x: p.x,
+        y: p.y,
+        w: p.w,
+        h: p.h,
+        moved: false,
+        static: true
+      };
+    });
+    const pinned = {};
+    const withPlaceholders = placeholders.concat(
+      layout.map(l => {
+        if (!held[l.i] || l.static) return l;
+        pinned[l.i] = true;
+        const item = cloneLayoutItem(l);
+        item.static = true;
+        return item;
+      })
+    );
+
+    const out = [];
+    fn(withPlaceholders).forEach(l => {
+      if (reserved[l.i]) return;
+      if (pinned[l.i]) {
+        l = cloneLayoutItem(l);
+        l.static = false;
+      }
+      out.push(l);
+    });
+    return out;
+  }
+
+  /**
+   * moveElement() with the props of this grid. Layout groups, except the one `l` is in,
+   * are pushed out of the way as a whole.
+   * @param  {Array}      layout Layout, changed in place.
+   * @param  {LayoutItem} l      Item to move.
+   * @param  {Number}     x      New x in grid units.
+   * @param  {Number}     y      New y in grid units.
+   * @return {Array}             The new layout.
+   */
+  moveItem(layout, l, x, y) {
+    const { preventCollision, allowOverlap } = this.props;
+    const cols = gridCols(this.props);
+    const isUserAction = true;
+    return this.withReservedSpace(layout, l.i, withReserved =>
+      withLayoutGroupsAsItems(withReserved, [l.i], grouped =>
+        moveElement(
+          grouped,
+          l,
+          x,
+          y,
+          isUserAction,
+          preventCollision,
+          compactType(this.props),
+          cols,
+          allowOverlap
+        )
+      )
+    );
+  }
+
+  /**
+   * The `layout` prop isn't applied during a drag or resize. If it changed meanwhile, e.g.
+   * with a patch from another user, start from it when the drag or resize stops and apply
+   * the local change on top: the same as what other users get from applying it as a patch.
+   * Items removed in the meantime stay removed.
+   * 拖拽或缩放期间 `layout` prop 的变化在结束时应用，本地修改叠加在其上。
+   * @param  {Array} layout Layout at the end of the drag or resize.
+   * @param  {Array} ids    Ids of the dragged or resized items.
+   * @return {Array}        `layout`, or the `layout` prop with the local change applied.
+   */
+  withLayoutPropChanges(layout, ids) {
+    const { children, allowOverlap, maxRows, growHorizontally } = this.props;
+    const { oldLayout, propsLayout } = this.state;
+    if (!oldLayout || deepEqual(this.props.layout, propsLayout)) return layout;
+    const cols = gridCols(this.props);
+    const base = synchronizeLayoutWithChildren(
+      this.props.layout,
+      children,
+      cols,
+      compactType(this.props),
+      allowOverlap,
+      maxRows,
+      growHorizontally
+    );
+    const ops = diffLayouts(oldLayout, layout).filter(
+      op => ids.indexOf(op.i) !== -1
+    );
+    return applyLayoutPatch(base, ops, {
+      cols,
+      compactType: compactType(this.props),
+      allowOverlap
+    });
+  }
+
   /**
    * When dragging starts
    * @param {String} i Id of the child
@@ -214,7 +584,7 @@ export default class ReactGridLayout extends React.Component {
     i,
     x,
     y,
-    { e, node }
+    { e, node, keyboard }
   ) => {
     const { layout } = this.state;
     const l = getLayoutItem(layout, i);
@@ -230,10 +600,17 @@ export default class ReactGridLayout extends React.Component {
       i: i
     };
 
+    this.transferTarget = null;
+    this.dragGroup =
+      (keyboard ? null : this.selectOnDragStart(i, e)) || this.layoutGroupOf(i);
     this.setState({
       oldDragItem: cloneLayoutItem(l),
-      oldLayout: layout,
-      activeDrag: placeholder
+      // Cloned, as moveElement() moves items in place while dragging
+      oldLayout: cloneLayout(layout),
+      activeDrag: placeholder,
+      activeDragGroup: this.dragGroup
+        ? this.dragGroup.map(id => placeholderFor(getLayoutItem(layout, id)))
+        : null
     });
 
     return this.props.onDragStart(layout, l, l, null, e, node);
@@ -251,14 +628,38 @@ export default class ReactGridLayout extends React.Component {
     i,
     x,
     y,
-    { e, node }
+    { e, node, newPosition, keyboard }
   ) => {
     const { oldDragItem } = this.state;
     let { layout } = this.state;
-    const { cols, allowOverlap, preventCollision } = this.props;
-    const l = getLayoutItem(layout, i);
+    const { allowOverlap, dragMode } = this.props;
+    let l = getLayoutItem(layout, i);
     if (!l) return;
 
+    if (this.dragGroup) {
+      const newLayout = this.moveGroup(i, x, y);
+      l = getLayoutItem(newLayout, i);
+      const placeholder = placeholderFor(l);
+      this.props.onDrag(newLayout, oldDragItem, l, placeholder, e, node, null);
+      this.setState({
+        layout: newLayout,
+        activeDrag: placeholder,
+        activeDragGroup: this.dragGroup.map(id =>
+          placeholderFor(getLayoutItem(newLayout, id))
+        )
+      });
+      return;
+    }
+
+    // Inside a GridGroup, another grid takes over while the item is over it.
+    if (
+      this.context &&
+      !keyboard &&
+      this.dragOverOtherGrid(l, e, newPosition, node)
+    ) {
+      return;
+    }
+
     // Create placeholder (display only)
     // 创建占位符（仅显示）
     const placeholder = {
@@ -271,31 +672,30 @@ export default class ReactGridLayout extends React.Component {
       i: i
     };
 
-    // Move the element to the dragged location.
-    const isUserAction = true;
-    // 先移动元素，这里会更改l的位置，从而更改placeholder的位置
-    layout = moveElement(
-      layout,
-      l,
-      x,
-      y,
-      isUserAction,
-      preventCollision,
-      compactType(this.props),
-      cols,
-      allowOverlap
-    );
+    let swapped = null;
+    if (dragMode === "swap") {
+      ({ layout, l, swapped } = this.swapOrMoveElement(i, x, y));
+      // The layout was rebuilt from the start of the drag, so show where we are now.
+      placeholder.x = l.x;
+      placeholder.y = l.y;
+    } else {
+      // Move the element to the dragged location.
+      // 先移动元素，这里会更改l的位置，从而更改placeholder的位置
+      layout = this.moveItem(layout, l, x, y);
+    }
 
-    this.props.onDrag(layout, oldDragItem, l, placeholder, e, node);
+    this.props.onDrag(layout, oldDragItem, l, placeholder, e, node, swapped);
 
     // compact 操作的是 moveElement 之后的布局
+    const newLayout = allowOverlap
+      ? layout
+      // 然后处理碰撞（这里还会调整布局）
+      : this.compactLayout(layout);
     this.setState({
-      layout: allowOverlap
-        ? layout
-        // 然后处理碰撞（这里还会调整布局）
-        : compact(layout, compactType(this.props), cols),
+      layout: newLayout,
       activeDrag: placeholder
     });
+    if (keyboard) this.announce("move", newLayout, i);
   };
 
   /**
@@ -310,48 +710,658 @@ export default class ReactGridLayout extends React.Component {
     i,
     x,
     y,
-    { e, node }
+    { e, node, keyboard }
   ) => {
     if (!this.state.activeDrag) return;
+    if (this.transferTarget) {
+      this.dropOnOtherGrid(i, e, node);
+      return;
+    }
 
     const { oldDragItem } = this.state;
     let { layout } = this.state;
-    const { cols, preventCollision, allowOverlap } = this.props;
-    const l = getLayoutItem(layout, i);
+    const { allowOverlap, dragMode } = this.props;
+    let l = getLayoutItem(layout, i);
     if (!l) return;
 
-    // Move the element here
-    const isUserAction = true;
-    layout = moveElement(
-      layout,
-      l,
-      x,
-      y,
-      isUserAction,
-      preventCollision,
-      compactType(this.props),
-      cols,
-      allowOverlap
-    );
+    let swapped = null;
+    let newLayout;
+    const ids = this.dragGroup || [i];
+    if (this.dragGroup) {
+      // Already compacted around the group
+      newLayout = this.moveGroup(i, x, y);
+      l = getLayoutItem(newLayout, i);
+      this.dragGroup = null;
+    } else {
+      if (dragMode === "swap") {
+        ({ layout, l, swapped } = this.swapOrMoveElement(i, x, y));
+        // The item swapped with moves too
+        if (swapped) ids.push(swapped.i);
+      } else {
+        // Move the element here
+        layout = this.moveItem(layout, l, x, y);
+      }
 
-    // Set state
-    const newLayout = allowOverlap
-      ? layout
-      : compact(layout, compactType(this.props), cols);
+      // Set state
+      newLayout = allowOverlap
+        ? layout
+        : this.compactLayout(layout);
+    }
+    newLayout = this.withLayoutPropChanges(newLayout, ids);
+    // null if the `layout` prop removed the item meanwhile
+    l = getLayoutItem(newLayout, i) || null;
 
-    this.props.onDragStop(newLayout, oldDragItem, l, null, e, node);
+    this.props.onDragStop(newLayout, oldDragItem, l, null, e, node, swapped);
 
     const { oldLayout } = this.state;
+    this.pushHistory(oldLayout, newLayout);
     this.setState({
       activeDrag: null,
+      activeDragGroup: null,
       layout: newLayout,
       oldDragItem: null,
-      oldLayout: null
+      oldLayout: null,
+      propsLayout: this.props.layout
     });
+    if (keyboard) this.announce("drop", newLayout, i);
 
     this.onLayoutMaybeChanged(newLayout, oldLayout);
   };
 
+  /**
+   * GridGroup: while dragging, check whether the pointer is over another grid of the group.
+   * If it is, that grid shows the placeholder and this one puts its items back where they
+   * were when the drag started, keeping the dragged item's place free in case it comes back.
+   * @param  {LayoutItem} l           The dragged item.
+   * @param  {Event}      e           The mousemove/touchmove event.
+   * @param  {Object}     newPosition Dragged item's {left, top} in px, relative to this grid.
+   * @param  {Element}    draggedNode The dragged item's DOM node.
+   * @return {Boolean}                True if another grid took over.
+   */
+  dragOverOtherGrid(l, e, newPosition, draggedNode) {
+    const point = getClientPosition(e);
+    let target = point
+      ? this.context.getGridAt(this, point.clientX, point.clientY, draggedNode)
+      : null;
+
+    if (target) {
+      // Where the dragged item is on screen; the pointer if we can't tell.
+      let { clientX: left, clientY: top } = point;
+      const node = this.containerNode;
+      if (node && newPosition) {
+        const { transformScale } = this.props;
+        const rect = node.getBoundingClientRect();
+        left =
+          rect.left + (newPosition.left - node.scrollLeft) * transformScale;
+        top = rect.top + (newPosition.top - node.scrollTop) * transformScale;
+      }
+      if (!target.onExternalDragOver(l, left, top)) target = null;
+    }
+
+    if (this.transferTarget && this.transferTarget !== target) {
+      this.transferTarget.onExternalDragLeave();
+    }
+    const wasOverOtherGrid = Boolean(this.transferTarget);
+    this.transferTarget = target;
+
+    if (target && !wasOverOtherGrid) {
+      this.setState({ layout: cloneLayout(this.state.oldLayout) });
+    }
+    return Boolean(target);
+  }
+
+  /**
+   * GridGroup: the item was dropped on another grid. Remove it from this layout and tell
+   * the group.
+   */
+  dropOnOtherGrid(i, e, node) {
+    const target = this.transferTarget;
+    this.transferTarget = null;
+
+    const { oldDragItem, oldLayout } = this.state;
+    const received = target.onExternalDrop();
+    const newLayout = this.compactLayout(oldLayout.filter(l => l.i !== i));
+
+    this.props.onDragStop(
+      newLayout,
+      oldDragItem,
+      received.item,
+      null,
+      e,
+      node,
+      null
+    );
+
+    this.pushHistory(oldLayout, newLayout);
+    this.setState({
+      activeDrag: null,
+      layout: newLayout,
+      oldDragItem: null,
+      oldLayout: null
+    });
+    this.onLayoutMaybeChanged(newLayout, oldLayout);
+
+    this.context.transfer({
+      item: received.item,
+      from: this.props.gridId,
+      to: target.props.gridId,
+      fromLayout: newLayout,
+      toLayout: received.layout,
+      e
+    });
+  }
+
+  /**
+   * GridGroup: an item from another grid is dragged over this one. Make room for it and
+   * show the placeholder where it would land.
+   * @param  {LayoutItem} item Item being dragged in the other grid.
+   * @param  {Number}     left Item's left edge in the viewport, in px.
+   * @param  {Number}     top  Item's top edge in the viewport, in px.
+   * @return {Boolean}         False if this grid can't take the item.
+   */
+  onExternalDragOver(item, left, top) {
+    const node = this.containerNode;
+    if (!node) return false;
+    if (!this.externalDrag) {
+      // Can't have two items with the same id, and our own drags come first.
+      if (getLayoutItem(this.state.layout, item.i) || this.state.activeDrag) {
+        return false;
+      }
+      this.externalDrag = { layout: cloneLayout(this.state.layout) };
+    }
+
+    const {
+      colWidth,
+      direction,
+      margin,
+      maxRows,
+      rowHeight,
+      width,
+      containerPadding,
+      transformScale,
+      allowOverlap
+    } = this.props;
+    const cols = gridCols(this.props);
+    const padding = containerPadding || margin;
+    const rect = node.getBoundingClientRect();
+    const w = Math.min(item.w, cols);
+    const { x, y } = calcXY(
+      {
+        cols,
+        margin,
+        maxRows,
+        rowHeight,
+        maxCols: this.maxCols(),
+        colWidth,
+        direction,
+        containerWidth: width,
+        containerPadding: padding
+      },
+      (top - rect.top) / transformScale + node.scrollTop - padding[1],
+      (left - rect.left) / transformScale + node.scrollLeft - padding[0],
+      w,
+      item.h
+    );
+    if (this.externalDrag.x === x && this.externalDrag.y === y) return true;
+    this.externalDrag.x = x;
+    this.externalDrag.y = y;
+
+    // Start over from our own layout each time, so items go back when the placeholder moves on.
+    const layout = cloneLayout(this.externalDrag.layout);
+    const l = {
+      ...cloneLayoutItem(item),
+      w,
+      x,
+      // Come in from below so moveElement() pushes the items in the way
+      y: bottom(layout),
+      moved: false,
+      static: false
+    };
+    layout.push(l);
+    const moved = this.moveItem(layout, l, x, y);
+    const newLayout = allowOverlap
+      ? moved
+      : this.compactLayout(moved);
+    const placed = getLayoutItem(newLayout, item.i);
+
+    this.setState({
+      layout: newLayout,
+      activeDrag: {
+        w: placed.w,
+        h: placed.h,
+        x: placed.x,
+        y: placed.y,
+        placeholder: true,
+        i: item.i
+      }
+    });
+    return true;
+  }
+
+  // GridGroup: the item from another grid left this one without being dropped.
+  onExternalDragLeave() {
+    if (!this.externalDrag) return;
+    const { layout } = this.externalDrag;
+    this.externalDrag = null;
+    this.setState({ layout, activeDrag: null });
+  }
+
+  /**
+   * GridGroup: the item from another grid was dropped here. Keep it where the placeholder is.
+   * @return {Object} {layout, item}: the new layout and the item as placed in it.
+   */
+  onExternalDrop() {
+    const oldLayout = this.externalDrag.layout;
+    this.externalDrag = null;
+    const { layout, activeDrag } = this.state;
+    const item = getLayoutItem(layout, activeDrag.i);
+
+    this.pushHistory(oldLayout, layout);
+    this.setState({ activeDrag: null });
+    this.onLayoutMaybeChanged(layout, oldLayout);
+    return { layout, item };
+  }
+
+  /**
+   * Revert a keyboard drag or resize (Escape) to the layout from before it started.
+   * The matching stop callback is still called, with the restored layout.
+   * @param {String} i Id of the child
+   * @param {Event} e The keydown event
+   * @param {Element} node The grid item's DOM element
+   */
+  onKeyboardCancel = (i, { e, node }) => {
+    const { oldLayout, oldDragItem, oldResizeItem } = this.state;
+    if (!oldLayout) return;
+    // Changes to the `layout` prop made meanwhile are kept
+    const layout = this.withLayoutPropChanges(oldLayout, []);
+    const l = getLayoutItem(layout, i) || null;
+
+    if (oldDragItem) {
+      this.props.onDragStop(layout, oldDragItem, l, null, e, node, null);
+    } else {
+      this.props.onResizeStop(layout, oldResizeItem, l, null, e, node);
+    }
+
+    this.setState({
+      activeDrag: null,
+      layout,
+      oldDragItem: null,
+      oldResizeItem: null,
+      oldLayout: null,
+      propsLayout: this.props.layout,
+      resizing: false
+    });
+    this.announce("cancel", layout, i);
+  };
+
+  /**
+   * Update the live region after a keyboard action.
+   * @param {String} action "move", "resize", "drop" or "cancel"
+   * @param {Array}  layout Layout after the action
+   * @param {String} i      Id of the item that was acted on
+   */
+  announce(action, layout, i) {
+    const l = getLayoutItem(layout, i);
+    if (!l) return;
+    const format =
+      this.props.keyboardAnnouncement || defaultKeyboardAnnouncement;
+    this.setState({ announcement: format(action, l, layout) });
+  }
+
+  /**
+   * Drag handling for `dragMode="swap"`.
+   * 交换模式下的拖拽处理。
+   *
+   * Every call starts over from the layout as it was when the drag started, so dragging
+   * off an item puts it back where it was. If the dragged item lands mostly on top of an
+   * item of similar size, the two trade places; otherwise it is moved as usual.
+   *
+   * @param  {String} i Id of the dragged child
+   * @param  {Number} x X position of the move
+   * @param  {Number} y Y position of the move
+   * @return {Object} The new (uncompacted) layout, the dragged item, and the item it
+   *                  swapped with (or null).
+   */
+  swapOrMoveElement(i, x, y) {
+    const { preventCollision, allowOverlap } = this.props;
+    const layout = cloneLayout(this.state.oldLayout || this.state.layout);
+    const l = getLayoutItem(layout, i);
+
+    const cols = this.maxCols() || gridCols(this.props);
+
+    const target = getSwapTarget(layout, l, x, y);
+    if (
+      target &&
+      swapElements(layout, l, target, preventCollision && !allowOverlap, cols)
+    ) {
+      return { layout, l, swapped: target };
+    }
+
+    return {
+      layout: this.moveItem(layout, l, x, y),
+      l,
+      swapped: null
+    };
+  }
+
+  /**
+   * Ids of the selected items.
+   * @return {Array} The `selected` prop if set, otherwise our own selection.
+   */
+  getSelected() {
+    return this.props.selected || this.state.selected;
+  }
+
+  /**
+   * Change the selection. Only our own state is changed; with a `selected` prop, the
+   * parent decides in `onSelectionChange`.
+   * @param {Array} ids Ids of the items to select.
+   */
+  setSelected(ids) {
+    const current = this.getSelected();
+    if (
+      ids.length === current.length &&
+      ids.every(id => current.indexOf(id) !== -1)
+    ) {
+      return;
+    }
+    if (!this.props.selected) this.setState({ selected: ids });
+    this.props.onSelectionChange(ids);
+  }
+
+  /**
+   * Update the selection when an item is pressed, and tell which items to drag with it.
+   * 按下元素时更新选择，并返回一起拖拽的元素。
+   *
+   * Ctrl/Cmd/Shift+click adds the item to the selection, or takes it out. Pressing an
+   * item outside of the selection clears it. Pressing a selected item drags the whole
+   * selection, except items that can't be dragged.
+   *
+   * @param  {String} i Id of the pressed child
+   * @param  {Event}  e The mousedown event
+   * @return {?Array}   Ids of the items to drag together, or null for a normal drag.
+   */
+  selectOnDragStart(i, e) {
+    if (!this.props.isSelectable) return null;
+    let selected = this.getSelected();
+    if (isAdditive(e)) {
+      selected =
+        selected.indexOf(i) === -1
+          ? [...selected, i]
+          : selected.filter(id => id !== i);
+      this.setSelected(selected);
+    } else if (selected.length && selected.indexOf(i) === -1) {
+      selected = [];
+      this.setSelected(selected);
+    }
+    if (selected.indexOf(i) === -1) return null;
+
+    const { layout } = this.state;
+    const group = selected.filter(id => {
+      const l = getLayoutItem(layout, id);
+      if (!l) return false;
+      return typeof l.isDraggable === "boolean"
+        ? l.isDraggable
+        : !l.static && this.props.isDraggable;
+    });
+    return group.length > 1 ? group : null;
+  }
+
+  /**
+   * Layout groups: dragging the header of a group, the item whose `i` is the group's name,
+   * drags all of its items.
+   * @param  {String} i Id of the dragged child
+   * @return {?Array}   Ids of the items to drag together, or null for a normal drag.
+   */
+  layoutGroupOf(i) {
+    const ids = getLayoutGroups(this.state.layout)[i];
+    return ids && ids.length > 1 ? ids : null;
+  }
+
+  /**
+   * Group drag: move all of `this.dragGroup` as far as the dragged item has moved since
+   * the drag started, keeping the gaps between them. Other items are pushed away from
+   * the group's bounding box.
+   * @param  {String} i Id of the dragged child
+   * @param  {Number} x X position of the move
+   * @param  {Number} y Y position of the move
+   * @return {Array}    The new, compacted layout.
+   */
+  moveGroup(i, x, y) {
+    const { allowOverlap } = this.props;
+    const cols = gridCols(this.props);
+    const layout = cloneLayout(this.state.oldLayout);
+    const dragged = getLayoutItem(layout, i);
+    const { layout: grouped, group } = groupLayoutItems(layout, this.dragGroup);
+    const box = getLayoutItem(grouped, GROUP_ITEM_ID);
+
+    // The whole group stays inside the grid
+    const boxX = clamp(box.x + x - dragged.x, 0, Math.max(cols - box.w, 0));
+    const boxY = Math.max(box.y + y - dragged.y, 0);
+    let moved = this.moveItem(grouped, box, boxX, boxY);
+    // Compact while the group is still one item, so it isn't pulled apart
+    if (!allowOverlap) moved = this.compactLayout(moved);
+    return ungroupLayoutItems(moved, group);
+  }
+
+  /**
+   * Start drawing a lasso when the empty part of the grid is pressed.
+   * 在网格空白处按下时开始框选。
+   */
+  onLassoStart = e => {
+    if (e.button !== 0 || e.target !== this.containerNode) return;
+    this.lassoStart = { ...this.getGridPoint(e), additive: isAdditive(e) };
+    document.addEventListener("mousemove", this.onLassoMove);
+    document.addEventListener("mouseup", this.onLassoEnd);
+  };
+
+  onLassoMove = e => {
+    const start = this.lassoStart;
+    if (!start) return;
+    const { left, top } = this.getGridPoint(e);
+    this.setState({
+      lasso: {
+        left: Math.min(start.left, left),
+        top: Math.min(start.top, top),
+        width: Math.abs(left - start.left),
+        height: Math.abs(top - start.top)
+      }
+    });
+  };
+
+  /**
+   * Select the items touched by the lasso. A click without moving clears the selection,
+   * unless Ctrl/Cmd/Shift is held.
+   */
+  onLassoEnd = () => {
+    document.removeEventListener("mousemove", this.onLassoMove);
+    document.removeEventListener("mouseup", this.onLassoEnd);
+    const start = this.lassoStart;
+    const { lasso } = this.state;
+    this.lassoStart = null;
+    if (!start) return;
+    if (lasso) this.setState({ lasso: null });
+
+    const hits = lasso ? this.getItemsInRect(lasso) : [];
+    if (!start.additive) {
+      this.setSelected(hits);
+    } else {
+      const selected = this.getSelected();
+      this.setSelected(
+        selected.concat(hits.filter(id => selected.indexOf(id) === -1))
+      );
+    }
+  };
+
+  /**
+   * Position of a mouse event inside the grid, in px.
+   * @param  {Event}  e Mouse event.
+   * @return {Object}   {left, top}
+   */
+  getGridPoint(e) {
+    const node = this.containerNode;
+    const rect = node.getBoundingClientRect();
+    const { transformScale } = this.props;
+    return {
+      left: (e.clientX - rect.left) / transformScale + node.scrollLeft,
+      top: (e.clientY - rect.top) / transformScale + node.scrollTop
+    };
+  }
+
+  /**
+   * Ids of the non-static items overlapping a rectangle of the grid.
+   * @param  {Object} rect {left, top, width, height} in px.
+   * @return {Array}       Ids, in layout order.
+   */
+  getItemsInRect(rect) {
+    const {
+      colWidth,
+      direction,
+      margin,
+      maxRows,
+      rowHeight,
+      width,
+      containerPadding
+    } = this.props;
+    const cols = gridCols(this.props);
+    const positionParams = {
+      cols,
+      colWidth,
+      direction,
+      margin,
+      maxRows,
+      rowHeight,
+      containerWidth: width,
+      containerPadding: containerPadding || margin
+    };
+    const ids = [];
+    this.state.layout.forEach(l => {
+      if (l.static) return;
+      const pos = calcGridItemPosition(positionParams, l.x, l.y, l.w, l.h);
+      if (
+        pos.left < rect.left + rect.width &&
+        pos.left + pos.width > rect.left &&
+        pos.top < rect.top + rect.height &&
+        pos.top + pos.height > rect.top
+      ) {
+        ids.push(l.i);
+      }
+    });
+    return ids;
+  }
+
+  /**
+   * Record a committed change (drag stop, resize stop or drop) so it can be undone.
+   * Starts a new branch of history: anything that could be redone is dropped.
+   * @param {Array} oldLayout Layout before the change.
+   * @param {Array} newLayout Layout after the change.
+   */
+  pushHistory(oldLayout, newLayout) {
+    const { historyLimit } = this.props;
+    if (!historyLimit || !oldLayout || deepEqual(oldLayout, newLayout)) return;
+
+    const { past } = this.history;
+    past.push(oldLayout);
+    if (past.length > historyLimit) past.splice(0, past.length - historyLimit);
+    this.history.future = [];
+  }
+
+  /**
+   * Revert the last committed drag, resize or drop.
+   * 撤销上一次的拖拽、缩放或放置。
+   * @return {Boolean} False if there was nothing to undo.
+   */
+  undo() {
+    return this.restoreHistory(this.history.past, this.history.future);
+  }
+
+  /**
+   * Re-apply the last change reverted by undo().
+   * @return {Boolean} False if there was nothing to redo.
+   */
+  redo() {
+    return this.restoreHistory(this.history.future, this.history.past);
+  }
+
+  canUndo() {
+    return this.history.past.length > 0;
+  }
+
+  canRedo() {
+    return this.history.future.length > 0;
+  }
+
+  clearHistory() {
+    this.history = { past: [], future: [] };
+  }
+
+  /**
+   * Pop a layout off `from`, push the current one onto `to`, and show the popped layout.
+   * Only positions and sizes are restored: items added since keep their current place,
+   * and items removed since are not brought back.
+   */
+  restoreHistory(from, to) {
+    // Never swap the layout out from under an active drag or resize.
+    if (from.length === 0 || this.state.activeDrag) return false;
+
+    const { layout } = this.state;
+    const snapshot = from.pop();
+    const newLayout = this.compactLayout(
+      layout.map(l => cloneLayoutItem(getLayoutItem(snapshot, l.i) || l))
+    );
+    to.push(layout);
+
+    // componentDidUpdate() calls onLayoutChange
+    this.setState({ layout: newLayout });
+    return true;
+  }
+
+  /**
+   * Re-arrange every item with packLayout(), e.g. for a "Tidy up" button. Static items
+   * stay put. Can be undone, and calls onLayoutChange like any other change.
+   * 自动整理布局。
+   * @param  {String}  [strategy] "first-fit" (default), "best-fit" or "skyline".
+   * @return {Boolean}            False while an item is dragged or resized.
+   */
+  tidyUp(strategy) {
+    if (this.state.activeDrag) return false;
+
+    const cols = gridCols(this.props);
+    const { layout } = this.state;
+    // Not compacted: that would move items into the gaps "skyline" leaves
+    const newLayout = packLayout(layout, cols, strategy, this.props.maxRows);
+    this.pushHistory(layout, newLayout);
+
+    // componentDidUpdate() calls onLayoutChange
+    this.setState({ layout: newLayout });
+    return true;
+  }
+
+  onHistoryKeyDown = e => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey || e.defaultPrevented) return;
+    if (e.key !== "z" && e.key !== "Z") return;
+    // Leave text fields to their own undo.
+    const target = e.target;
+    if (
+      target &&
+      (target.isContentEditable ||
+        ["INPUT", "TEXTAREA", "SELECT"].indexOf(target.tagName) !== -1)
+    ) {
+      return;
+    }
+
+    const handled = e.shiftKey ? this.redo() : this.undo();
+    if (handled) e.preventDefault();
+  };
+
+  // Keep our own handle on the DOM node while still filling in `innerRef`.
+  setContainerNode = node => {
+    this.containerNode = node;
+    const { innerRef } = this.props;
+    if (typeof innerRef === "function") innerRef(node);
+    else if (innerRef) innerRef.current = node;
+  };
+
   onLayoutMaybeChanged(newLayout, oldLayout) {
     if (!oldLayout) oldLayout = this.state.layout;
 
@@ -360,6 +1370,46 @@ export default class ReactGridLayout extends React.Component {
     }
   }
 
+  /**
+   * An `autoHeight` item's content needs `h` rows. Heights reported in the same frame
+   * are applied together, so the layout is compacted and onLayoutChange called once.
+   * 内容高度变化时调整 autoHeight item 的 h，同一帧内的变化一起应用。
+   * @param {String} i Item id.
+   * @param {Number} h Rows.
+   */
+  onAutoHeight = (i, h) => {
+    this.autoHeights[i] = h;
+    this.scheduleAutoHeights();
+  };
+
+  scheduleAutoHeights() {
+    if (this.autoHeightFrame != null) return;
+    if (Object.keys(this.autoHeights).length === 0) return;
+    this.autoHeightFrame = requestAnimationFrame(this.applyAutoHeights);
+  }
+
+  applyAutoHeights = () => {
+    this.autoHeightFrame = null;
+    // Never change the layout under an active drag or resize; componentDidUpdate()
+    // schedules this again when it ends.
+    if (this.state.activeDrag) return;
+
+    const heights = this.autoHeights;
+    this.autoHeights = {};
+    let changed = false;
+    const layout = this.state.layout.map(l => {
+      if (!l.autoHeight || heights[l.i] == null) return l;
+      const h = clamp(heights[l.i], l.minH || 1, l.maxH || Infinity);
+      if (h === l.h) return l;
+      changed = true;
+      return { ...l, h };
+    });
+    if (!changed) return;
+
+    // componentDidUpdate() calls onLayoutChange
+    this.setState({ layout: this.compactLayout(layout) });
+  };
+
   onResizeStart = (
     i,
     w,
@@ -372,7 +1422,7 @@ export default class ReactGridLayout extends React.Component {
 
     this.setState({
       oldResizeItem: cloneLayoutItem(l),
-      oldLayout: this.state.layout,
+      oldLayout: cloneLayout(this.state.layout),
       resizing: true
     });
 
@@ -383,17 +1433,21 @@ export default class ReactGridLayout extends React.Component {
     i,
     w,
     h,
-    { e, node, size, handle }
+    { e, node, size, handle, keyboard }
   ) => {
     const { oldResizeItem } = this.state;
     const { layout } = this.state;
-    const { cols, preventCollision, allowOverlap } = this.props;
+    const { preventCollision, allowOverlap } = this.props;
+    const cols = gridCols(this.props);
 
     let shouldMoveItem = false;
     let finalLayout;
     let x;
     let y;
 
+    // Shared by the collision check below and the move of the resized item.
+    const index = new SpatialIndex(layout);
+
     const [newLayout, l] = withLayoutItem(layout, i, l => {
       let hasCollisions;
       x = l.x;
@@ -414,16 +1468,18 @@ export default class ReactGridLayout extends React.Component {
         shouldMoveItem = true;
       }
 
-      // Something like quad tree should be used
-      // to find collisions faster
       if (preventCollision && !allowOverlap) {
-        const collisions = getAllCollisions(layout, {
-          ...l,
-          w,
-          h,
-          x,
-          y
-        }).filter(layoutItem => layoutItem.i !== l.i);
+        const collisions = getAllCollisions(
+          layout,
+          {
+            ...l,
+            w,
+            h,
+            x,
+            y
+          },
+          index
+        ).filter(layoutItem => layoutItem.i !== l.i);
         hasCollisions = collisions.length > 0;
 
         // If we're colliding, we need adjust the placeholder.
@@ -448,6 +1504,8 @@ export default class ReactGridLayout extends React.Component {
 
     finalLayout = newLayout;
     if (shouldMoveItem) {
+      // The index holds the item as it was before this resize; swap in the resized clone.
+      index.replace(getLayoutItem(layout, i), l);
       // Move the element to the new position.
       const isUserAction = true;
       finalLayout = moveElement(
@@ -459,7 +1517,8 @@ export default class ReactGridLayout extends React.Component {
         this.props.preventCollision,
         compactType(this.props),
         cols,
-        allowOverlap
+        allowOverlap,
+        index
       );
     }
 
@@ -476,12 +1535,14 @@ export default class ReactGridLayout extends React.Component {
     this.props.onResize(finalLayout, oldResizeItem, l, placeholder, e, node);
 
     // Re-compact the newLayout and set the drag placeholder.
+    const compactedLayout = allowOverlap
+      ? finalLayout
+      : this.compactLayout(finalLayout);
     this.setState({
-      layout: allowOverlap
-        ? finalLayout
-        : compact(finalLayout, compactType(this.props), cols),
+      layout: compactedLayout,
       activeDrag: placeholder
     });
+    if (keyboard) this.announce("resize", compactedLayout, i);
   };
 
   onResizeStop = (
@@ -491,22 +1552,26 @@ export default class ReactGridLayout extends React.Component {
     { e, node }
   ) => {
     const { layout, oldResizeItem } = this.state;
-    const { cols, allowOverlap } = this.props;
-    const l = getLayoutItem(layout, i);
+    const { allowOverlap } = this.props;
 
     // Set state
-    const newLayout = allowOverlap
-      ? layout
-      : compact(layout, compactType(this.props), cols);
+    const newLayout = this.withLayoutPropChanges(
+      allowOverlap ? layout : this.compactLayout(layout),
+      [i]
+    );
+    // null if the `layout` prop removed the item meanwhile
+    const l = getLayoutItem(newLayout, i) || null;
 
     this.props.onResizeStop(newLayout, oldResizeItem, l, null, e, node);
 
     const { oldLayout } = this.state;
+    this.pushHistory(oldLayout, newLayout);
     this.setState({
       activeDrag: null,
       layout: newLayout,
       oldResizeItem: null,
       oldLayout: null,
+      propsLayout: this.props.layout,
       resizing: false
     });
 
@@ -514,22 +1579,49 @@ export default class ReactGridLayout extends React.Component {
   };
 
   /**
-   * Create a placeholder object.
-   * @return {Element} Placeholder div.
+   * Create the placeholder, or one per item when a group is dragged.
+   * @return {Element} Placeholder div(s).
    */
   placeholder() {
-    const { activeDrag } = this.state;
-    if (!activeDrag) return null;
+    const { activeDrag, activeDragGroup } = this.state;
+    // While over another grid of a GridGroup, that grid shows the placeholder
+    if (!activeDrag || this.transferTarget) return null;
+    if (activeDragGroup) {
+      return activeDragGroup.map(p => this.renderPlaceholder(p));
+    }
+    return this.renderPlaceholder(activeDrag);
+  }
+
+  /**
+   * Show where other users are dragging items, see `remotePlaceholders`.
+   * @return {?Array} Placeholder divs.
+   */
+  remotePlaceholders() {
+    const { remotePlaceholders } = this.props;
+    if (!remotePlaceholders) return null;
+    return remotePlaceholders.map(p => this.renderPlaceholder(p, true));
+  }
+
+  /**
+   * @param  {Object}  activeDrag Placeholder position, or a remote placeholder.
+   * @param  {Boolean} [remote]   `activeDrag` is one of `remotePlaceholders`.
+   * @return {Element}            Placeholder div.
+   */
+  renderPlaceholder(activeDrag, remote = false) {
     const {
       width,
-      cols,
+      colWidth,
+      direction,
       margin,
       containerPadding,
       rowHeight,
       maxRows,
       useCSSTransforms,
+      useCSSGrid,
       transformScale
     } = this.props;
+    const cols = gridCols(this.props);
+    const color = remote ? activeDrag.color : null;
 
     // {...this.state.activeDrag} is pretty slow, actually
     return (
@@ -539,21 +1631,43 @@ export default class ReactGridLayout extends React.Component {
         x={activeDrag.x}
         y={activeDrag.y}
         i={activeDrag.i}
-        className={`react-grid-placeholder ${this.state.resizing ? "placeholder-resizing" : ""
-          }`}
+        key={remote ? `${REMOTE_PLACEHOLDER_ID}:${activeDrag.i}` : activeDrag.i}
+        className={
+          remote
+            ? "react-grid-placeholder react-grid-remote-placeholder"
+            : `react-grid-placeholder ${
+                this.state.resizing ? "placeholder-resizing" : ""
+              }`
+        }
+        style={color ? { color } : null}
         containerWidth={width}
         cols={cols}
         margin={margin}
         containerPadding={containerPadding || margin}
         maxRows={maxRows}
+        maxCols={this.maxCols()}
+        colWidth={colWidth}
+        direction={direction}
         rowHeight={rowHeight}
         isDraggable={false}
         isResizable={false}
         isBounded={false}
         useCSSTransforms={useCSSTransforms}
+        useCSSGrid={useCSSGrid}
         transformScale={transformScale}
       >
-        <div />
+        {remote && activeDrag.label != null ? (
+          <div>
+            <span
+              className="react-grid-remote-placeholder-label"
+              style={color ? { background: color } : null}
+            >
+              {activeDrag.label}
+            </span>
+          </div>
+        ) : (
+          <div />
+        )}
       </GridItem>
     );
   }
@@ -573,7 +1687,8 @@ export default class ReactGridLayout extends React.Component {
     if (!l) return null;
     const {
       width,
-      cols,
+      colWidth,
+      direction,
       margin,
       containerPadding,
       rowHeight,
@@ -582,13 +1697,20 @@ export default class ReactGridLayout extends React.Component {
       isResizable,
       isBounded,
       useCSSTransforms,
+      useCSSGrid,
       transformScale,
       draggableCancel,
       draggableHandle,
       resizeHandles,
-      resizeHandle
+      resizeHandle,
+      isKeyboardAccessible,
+      isSelectable,
+      autoScroll,
+      autoScrollSpeed
     } = this.props;
+    const cols = gridCols(this.props);
     const { mounted, droppingPosition } = this.state;
+    const selected = isSelectable && this.getSelected().indexOf(l.i) !== -1;
 
     // Determine user manipulations possible.
     // If an item is static, it can't be manipulated by default.
@@ -608,11 +1730,15 @@ export default class ReactGridLayout extends React.Component {
 
     return (
       <GridItem
+        className={selected ? "selected" : undefined}
         containerWidth={width}
         cols={cols}
         margin={margin}
         containerPadding={containerPadding || margin}
         maxRows={maxRows}
+        maxCols={this.maxCols()}
+        colWidth={colWidth}
+        direction={direction}
         rowHeight={rowHeight}
         cancel={draggableCancel}
         handle={draggableHandle}
@@ -627,6 +1753,7 @@ export default class ReactGridLayout extends React.Component {
         isBounded={bounded}
         useCSSTransforms={useCSSTransforms && mounted}
         usePercentages={!mounted}
+        useCSSGrid={useCSSGrid}
         transformScale={transformScale}
         w={l.w}
         h={l.h}
@@ -638,9 +1765,19 @@ export default class ReactGridLayout extends React.Component {
         maxH={l.maxH}
         maxW={l.maxW}
         static={l.static}
+        autoHeight={l.autoHeight || undefined}
+        onAutoHeight={l.autoHeight ? this.onAutoHeight : undefined}
+        aspectRatio={l.aspectRatio}
+        aspectRatioUnits={l.aspectRatioUnits}
         droppingPosition={isDroppingItem ? droppingPosition : undefined}
         resizeHandles={resizeHandlesOptions}
         resizeHandle={resizeHandle}
+        // Only passed when enabled, so items render exactly as before otherwise
+        isKeyboardAccessible={isKeyboardAccessible || undefined}
+        onKeyboardCancel={
+          isKeyboardAccessible ? this.onKeyboardCancel : undefined
+        }
+        autoScrollSpeed={autoScroll ? autoScrollSpeed : undefined}
       >
         {child}
       </GridItem>
@@ -669,17 +1806,7 @@ export default class ReactGridLayout extends React.Component {
       return false;
     }
 
-    const {
-      droppingItem,
-      onDropDragOver,
-      margin,
-      cols,
-      rowHeight,
-      maxRows,
-      width,
-      containerPadding,
-      transformScale
-    } = this.props;
+    const { droppingItem, onDropDragOver } = this.props;
     // Allow user to customize the dropping item or short-circuit the drop based on the results
     //允许用户根据结果自定义投放项目或缩短投放时间
     // of the `onDragOver(e: Event)` callback.
@@ -692,17 +1819,41 @@ export default class ReactGridLayout extends React.Component {
     }
     const finalDroppingItem = { ...droppingItem, ...onDragOverResult };
 
-    const { layout } = this.state;
-
     // $FlowIgnore missing def
     // 提供了元素的大小及其相对于视口的位置
     // e.currentTarget 是当前容器对象
     const gridRect = e.currentTarget.getBoundingClientRect(); // The grid's position in the viewport
+    this.showDroppingItem(finalDroppingItem, gridRect, e);
+  };
+
+  /**
+   * Show `droppingItem` under the pointer, adding it to the layout the first time.
+   * Shared by HTML5 drag and drop and <DraggableSource>.
+   * @param {Object} droppingItem Item to show, with `i`, `w` and `h`.
+   * @param {Object} gridRect     The grid's position in the viewport.
+   * @param {Event}  e            Event with the pointer position.
+   */
+  showDroppingItem(droppingItem, gridRect, e) {
+    const {
+      margin,
+      colWidth,
+      direction,
+      rowHeight,
+      maxRows,
+      width,
+      containerPadding,
+      transformScale
+    } = this.props;
+    const cols = gridCols(this.props);
+    const { layout } = this.state;
+    this.updateAutoScroll(e);
 
-    // Calculate the mouse position relative to the grid
+    // Calculate the mouse position relative to the grid, including what the grid itself
+    // has scrolled, so the placeholder stays under the cursor while it scrolls.
     // 计算鼠标相对于网格的位置
-    const layerX = e.clientX - gridRect.left;
-    const layerY = e.clientY - gridRect.top;
+    const node = this.containerNode;
+    const layerX = e.clientX - gridRect.left + (node ? node.scrollLeft : 0);
+    const layerY = e.clientY - gridRect.top + (node ? node.scrollTop : 0);
     const droppingPosition = {
       left: layerX / transformScale,
       top: layerY / transformScale,
@@ -714,6 +1865,9 @@ export default class ReactGridLayout extends React.Component {
         cols,
         margin,
         maxRows,
+        maxCols: this.maxCols(),
+        colWidth,
+        direction,
         rowHeight,
         containerWidth: width,
         containerPadding: containerPadding || margin
@@ -723,18 +1877,18 @@ export default class ReactGridLayout extends React.Component {
         positionParams,
         layerY,
         layerX,
-        finalDroppingItem.w,
-        finalDroppingItem.h
+        droppingItem.w,
+        droppingItem.h
       );
 
       this.setState({
-        droppingDOMNode: <div key={finalDroppingItem.i} />,
+        droppingDOMNode: <div key={droppingItem.i} />,
         droppingPosition,
         // onDragOver 的时候 在 layout 里面添加一个占位元素
         layout: [
           ...layout,
           {
-            ...finalDroppingItem,
+            ...droppingItem,
             x: calculatedPosition.x,
             y: calculatedPosition.y,
             static: false,
@@ -749,19 +1903,85 @@ export default class ReactGridLayout extends React.Component {
         this.setState({ droppingPosition });
       }
     }
-  };
+  }
+
+  /**
+   * Called by <DraggableSource> while it is dragged over the grid. Several sources can be
+   * dragged at once (one per finger); the first one over the grid gets the dropping item
+   * and the others are ignored until it leaves.
+   * @param {Object} item  {w, h} of the item to drop, if not `droppingItem`'s.
+   * @param {Event}  e     pointermove event.
+   * @param {Object} owner Identifies the drag.
+   */
+  onSourceDragOver(item, e, owner) {
+    const { droppingItem } = this.props;
+    const node = this.containerNode;
+    if (!node || !this.ownsDroppingItem(owner)) return;
+    this.droppingSource = owner;
+    this.showDroppingItem(
+      { ...droppingItem, ...item, i: droppingItem.i },
+      node.getBoundingClientRect(),
+      e
+    );
+  }
+
+  // Called by <DraggableSource> when it leaves the grid, or stops before a drop.
+  onSourceDragLeave(owner) {
+    if (this.state.droppingDOMNode && this.ownsDroppingItem(owner)) {
+      this.removeDroppingPlaceholder();
+    }
+  }
+
+  /**
+   * Called by <DraggableSource> when it is released over the grid.
+   * @param {Event}  e      pointerup event.
+   * @param {Object} source {uniKey, data} of the source.
+   * @param {Object} owner  Identifies the drag.
+   */
+  onSourceDrop(e, source, owner) {
+    if (this.state.droppingDOMNode && this.ownsDroppingItem(owner)) {
+      this.dropDroppingItem(e, source);
+    }
+  }
+
+  ownsDroppingItem(owner) {
+    return !this.state.droppingDOMNode || this.droppingSource === owner;
+  }
+
+  /**
+   * Auto-scroll while something is dragged in from outside. Browsers keep sending
+   * dragover while the pointer rests, so onDragOver() follows the scroll by itself.
+   * @param {Event} e dragover event
+   */
+  updateAutoScroll(e) {
+    const { autoScroll, autoScrollSpeed } = this.props;
+    const node = this.containerNode;
+    if (!autoScroll || !node) return;
+    if (!this.autoScroller) {
+      this.autoScroller = new AutoScroller(
+        getScrollParent(node),
+        autoScrollSpeed,
+        noop
+      );
+    }
+    this.autoScroller.update(e.clientX, e.clientY);
+  }
+
+  stopAutoScroll() {
+    if (this.autoScroller) this.autoScroller.stop();
+    this.autoScroller = null;
+  }
 
   // 只有这里可以将 droppingDOMNode 置空
   removeDroppingPlaceholder = () => {
-    const { droppingItem, cols } = this.props;
+    const { droppingItem } = this.props;
     const { layout } = this.state;
 
-    const newLayout = compact(
-      layout.filter(l => l.i !== droppingItem.i),
-      compactType(this.props),
-      cols,
-      this.props.allowOverlap
+    const newLayout = this.compactLayout(
+      layout.filter(l => l.i !== droppingItem.i)
     );
+    this.stopAutoScroll();
+    this.droppingSource = null;
 
     this.setState({
       layout: newLayout,
@@ -795,46 +2015,106 @@ export default class ReactGridLayout extends React.Component {
   onDrop = (e) => {
     e.preventDefault(); // Prevent any browser native action
     e.stopPropagation();
+    this.dropDroppingItem(e);
+  };
+
+  // Commit the dropping item and call onDrop(), with `source` if from <DraggableSource>
+  dropDroppingItem(e, source) {
     const { droppingItem } = this.props;
-    const { layout } = this.state;
+    const { layout, oldLayout } = this.state;
     const item = layout.find(l => l.i === droppingItem.i);
 
     // reset dragEnter counter on drop
     this.dragEnterCounter = 0;
 
+    // oldLayout was taken when the dropping item started moving, before it pushed anything
+    this.pushHistory(
+      (oldLayout || layout).filter(l => l.i !== droppingItem.i),
+      layout
+    );
+
     this.removeDroppingPlaceholder();
 
-    this.props.onDrop(layout, item, e);
-  };
+    if (source) this.props.onDrop(layout, item, e, source);
+    else this.props.onDrop(layout, item, e);
+  }
 
   render() {
-    const { className, style, isDroppable, innerRef } = this.props;
+    const {
+      className,
+      style,
+      isDroppable,
+      isKeyboardAccessible,
+      isSelectable,
+      direction,
+      useCSSGrid
+    } = this.props;
+    const { lasso } = this.state;
+    const rtl = direction === "rtl";
 
     const mergedClassName = clsx(layoutClassName, className);
+    // Items past the last column of a horizontal grid: scroll to them
+    const contentWidth = this.containerWidth();
+    const scrollStyle =
+      contentWidth != null ? { overflowX: "auto", overflowY: "hidden" } : null;
     const mergedStyle = {
       height: this.containerHeight(),
+      ...scrollStyle,
+      ...(useCSSGrid ? this.gridTemplate() : null),
       ...style
     };
 
     return (
       <div
-        ref={innerRef}
+        ref={this.setContainerNode}
         className={mergedClassName}
         style={mergedStyle}
+        // Right to left, the container scrolls to items past the last column on the left
+        dir={rtl ? "rtl" : undefined}
         onDrop={isDroppable ? this.onDrop : noop}
         onDragLeave={isDroppable ? this.onDragLeave : noop}
         onDragEnter={isDroppable ? this.onDragEnter : noop}
         onDragOver={isDroppable ? this.onDragOver : noop}
+        onMouseDown={isSelectable ? this.onLassoStart : undefined}
       >
         {/* 外部调用组件传过来的 children */}
         {React.Children.map(this.props.children, child =>
           this.processGridItem(child)
         )}
         {/* 外部拖入容器组件的时候，手动添加一个 processGridItem */}
-        {isDroppable &&
-          this.state.droppingDOMNode &&
+        {this.state.droppingDOMNode &&
           this.processGridItem(this.state.droppingDOMNode, true)}
         {this.placeholder()}
+        {this.remotePlaceholders()}
+        {contentWidth != null && (
+          <div
+            className="react-grid-layout-sizer"
+            style={{
+              position: "absolute",
+              top: 0,
+              [rtl ? "right" : "left"]: 0,
+              width: contentWidth,
+              height: 1,
+              visibility: "hidden"
+            }}
+          />
+        )}
+        {lasso && (
+          <div
+            className="react-grid-lasso"
+            style={{ position: "absolute", ...lasso }}
+          />
+        )}
+        {isKeyboardAccessible && (
+          <div
+            className="react-grid-layout-announcer"
+            aria-live="polite"
+            aria-atomic="true"
+            style={visuallyHiddenStyle}
+          >
+            {this.state.announcement}
+          </div>
+        )}
       </div>
     );
   }
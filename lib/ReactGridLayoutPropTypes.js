@@ -25,6 +25,9 @@ export default {
   // If you need that behavior, use WidthProvider.
   width: PropTypes.number,
 
+  // Identifies this grid in <GridGroup> callbacks
+  gridId: PropTypes.string,
+
   // If true, the container height swells and contracts to fit contents
   autoSize: PropTypes.bool,
   // # of cols.
@@ -53,6 +56,9 @@ export default {
     "vertical",
     "horizontal"
   ])),
+  // What happens to an item the dragged item lands on: pushed out of the way,
+  // or swapped with the dragged item if they are of similar size.
+  dragMode: PropTypes.oneOf(["push", "swap"]),
 
   // layout is an array of object with the format:
   // {x: Number, y: Number, w: Number, h: Number, i: String}
@@ -73,14 +79,29 @@ export default {
   containerPadding: (PropTypes.arrayOf(
     PropTypes.number
   )),
-  // Rows have a static height, but you can change this based on breakpoints if you like
-  rowHeight: PropTypes.number,
+  // Rows have a static height, but you can change this based on breakpoints if you like.
+  // Rows of different heights: a function of the row index, or an array of heights
+  // (rows past its end take its last height).
+  rowHeight: PropTypes.oneOfType([
+    PropTypes.number,
+    PropTypes.func,
+    PropTypes.arrayOf(PropTypes.number)
+  ]),
+  // Fixed column width in px. By default columns share the grid's width.
+  // The grid then has as many columns as fit in its width instead of `cols`.
+  colWidth: PropTypes.number,
   // Default Infinity, but you can specify a max here if you like.
   // Note that this isn't fully fleshed out and won't error if you specify a layout that
   // extends beyond the row capacity. It will, however, not allow users to drag/resize
   // an item past the barrier. They can push items beyond the barrier, though.
-  // Intentionally not documented for this reason.
+  // With compactType "horizontal" it is the grid's row count.
   maxRows: PropTypes.number,
+  // "rtl" fills the grid from the right: x counts columns from the right edge, and
+  // dragging, resizing and drops are mirrored. Layouts are the same either way.
+  direction: PropTypes.oneOf(["ltr", "rtl"]),
+  // With compactType "horizontal", leave items past the last column (the grid scrolls)
+  // instead of wrapping them to the next row.
+  growHorizontally: PropTypes.bool,
 
   //
   // Flags
@@ -92,17 +113,60 @@ export default {
   allowOverlap: PropTypes.bool,
   // If true, grid items won't change position when being dragged over.
   preventCollision: PropTypes.bool,
+  // If true, items can be focused, moved with the arrow keys and resized with Shift+arrow keys.
+  isKeyboardAccessible: PropTypes.bool,
+  // If true, Ctrl/Cmd/Shift+click and a lasso on the empty grid select items,
+  // and dragging a selected item drags all of them.
+  isSelectable: PropTypes.bool,
+  // Ids of the selected items. Optional; without it the grid keeps track of the selection.
+  selected: PropTypes.arrayOf(PropTypes.string),
   // Use CSS transforms instead of top/left
   useCSSTransforms: PropTypes.bool,
+  // Lay items out with CSS Grid (`display: grid` on the container) instead of absolute
+  // positions; px are only used while an item is dragged or resized.
+  useCSSGrid: PropTypes.bool,
   // parent layout transform scale
   transformScale: PropTypes.number,
   // If true, an external element can trigger onDrop callback with a specific grid position as a parameter
   isDroppable: PropTypes.bool,
+  // If true, dragging or resizing near the edge of the scroll container (or the window) scrolls it
+  autoScroll: PropTypes.bool,
+  // Max px per frame to scroll by; the closer to the edge, the faster
+  autoScrollSpeed: PropTypes.number,
 
   // Resize handle options
   resizeHandles: PropTypes.array,
   resizeHandle: PropTypes.func,
 
+  //
+  // History
+  //
+
+  // Max number of committed layout changes kept for undo()/redo(). 0 disables history.
+  historyLimit: PropTypes.number,
+  // If true, Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS) call undo()/redo().
+  undoKeyBindings: PropTypes.bool,
+
+  //
+  // Collaboration
+  //
+
+  // Where other users are dragging items: {i, x, y, w, h, label, color}. Each is shown
+  // like the placeholder, in `color` and with `label` in it.
+  remotePlaceholders: PropTypes.arrayOf(
+    PropTypes.shape({
+      i: PropTypes.string.isRequired,
+      x: PropTypes.number.isRequired,
+      y: PropTypes.number.isRequired,
+      w: PropTypes.number.isRequired,
+      h: PropTypes.number.isRequired,
+      label: PropTypes.node,
+      color: PropTypes.string
+    })
+  ),
+  // If true, local drags and resizes treat the remote placeholders as static items.
+  reserveRemotePlaceholders: PropTypes.bool,
+
   //
   // Callbacks
   //
@@ -116,6 +180,7 @@ export default {
   // Calls on each drag movement.
   onDrag: PropTypes.func,
   // Calls when drag is complete.
+  // With dragMode="swap", onDrag and onDragStop receive the swapped item as a 7th argument.
   onDragStop: PropTypes.func,
   //Calls when resize starts.
   onResizeStart: PropTypes.func,
@@ -125,6 +190,11 @@ export default {
   onResizeStop: PropTypes.func,
   // Calls when some element is dropped.
   onDrop: PropTypes.func,
+  // Calls with the ids of the selected items when the selection changes.
+  onSelectionChange: PropTypes.func,
+  // Text for the screen reader live region after a keyboard move/resize, with the
+  // signature (action, item, layout) => string. action is "move", "resize", "drop" or "cancel".
+  keyboardAnnouncement: PropTypes.func,
 
   //
   // Other validations
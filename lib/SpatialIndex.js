@@ -0,0 +1,179 @@
+// @flow
+
+// What the index looks at of a layout item. Items are kept by reference.
+type Item = { y: number, h: number };
+type RowSpan = [number, number];
+
+// Items spanning more rows than this (e.g. `h: Infinity`) are not bucketed;
+// they are kept aside and returned as candidates for every query.
+const MAX_BUCKETED_ROWS = 10000;
+
+/**
+ * Row range [first, last] an item occupies in the index.
+ * Zero-height items still occupy the row they sit on so they can be found.
+ */
+function getRowSpan(item: Item): RowSpan {
+  const first = Math.floor(item.y);
+  const last = Math.max(first, Math.ceil(item.y + item.h) - 1);
+  return [first, last];
+}
+
+/**
+ * A row-bucketed spatial index over layout items.
+ * 按行分桶的空间索引，用于快速查找可能发生碰撞的元素。
+ *
+ * Every item is registered in a bucket for each grid row it covers, so finding
+ * the items that may collide with a given item only looks at the rows that item
+ * covers instead of scanning the whole layout.
+ *
+ * The index only answers "which items could collide"; callers still run `collides()`
+ * on the candidates and put them back in order with `sortByPosition()`, so results are
+ * exactly the same as a linear scan.
+ * Items are tracked by reference: if you mutate an item's x/y/w/h, call `update()`.
+ */
+export default class SpatialIndex<T: Item> {
+  rows: Map<number, Set<T>> = new Map();
+  spans: Map<T, RowSpan> = new Map();
+  unbounded: Set<T> = new Set();
+  minRow: number = Infinity;
+  maxBottom: number = 0;
+  bottomDirty: boolean = false;
+  // Order the items were inserted in: their index in the layout the index was built from
+  positions: Map<T, number> = new Map();
+  nextPosition: number = 0;
+
+  constructor(layout: $ReadOnlyArray<T> = []) {
+    for (let i = 0, len = layout.length; i < len; i++) {
+      this.insert(layout[i]);
+    }
+  }
+
+  get size(): number {
+    return this.spans.size + this.unbounded.size;
+  }
+
+  insert(item: T): void {
+    if (!this.positions.has(item)) {
+      this.positions.set(item, this.nextPosition++);
+    }
+    const bottomY = item.y + item.h;
+    if (bottomY > this.maxBottom) this.maxBottom = bottomY;
+
+    const [first, last] = getRowSpan(item);
+    if (
+      !Number.isFinite(first) ||
+      !Number.isFinite(last) ||
+      last - first > MAX_BUCKETED_ROWS
+    ) {
+      this.unbounded.add(item);
+      return;
+    }
+
+    this.spans.set(item, [first, last]);
+    if (first < this.minRow) this.minRow = first;
+    for (let row = first; row <= last; row++) {
+      let bucket = this.rows.get(row);
+      if (!bucket) {
+        bucket = new Set();
+        this.rows.set(row, bucket);
+      }
+      bucket.add(item);
+    }
+  }
+
+  remove(item: T): void {
+    this.unlink(item);
+    this.positions.delete(item);
+  }
+
+  // Call after an item's position or size has been modified in place.
+  update(item: T): void {
+    this.unlink(item);
+    this.insert(item);
+  }
+
+  // Put `by` in the place of `item`, e.g. a modified clone of it.
+  replace(item: T, by: T): void {
+    const position = this.positions.get(item);
+    this.remove(item);
+    if (position != null) this.positions.set(by, position);
+    this.insert(by);
+  }
+
+  // Take `item` out of the buckets; it keeps its position.
+  unlink(item: T): void {
+    if (this.unbounded.delete(item)) {
+      this.bottomDirty = true;
+      return;
+    }
+    const span = this.spans.get(item);
+    if (!span) return;
+    this.spans.delete(item);
+    for (let row = span[0]; row <= span[1]; row++) {
+      const bucket = this.rows.get(row);
+      if (!bucket) continue;
+      bucket.delete(item);
+      if (bucket.size === 0) this.rows.delete(row);
+    }
+    // Cheaper to recompute lazily than to keep a sorted structure around.
+    this.bottomDirty = true;
+  }
+
+  /**
+   * Return every item that covers one of the rows [top, top + height).
+   * This is a superset of the items colliding with such a box.
+   */
+  query(top: number, height: number): Array<T> {
+    const [first, last] = getRowSpan({ y: top, h: height });
+    const out = new Set(this.unbounded);
+    if (
+      !Number.isFinite(first) ||
+      !Number.isFinite(last) ||
+      last - first > MAX_BUCKETED_ROWS
+    ) {
+      this.spans.forEach((_span, item) => out.add(item));
+      return Array.from(out);
+    }
+    for (let row = first; row <= last; row++) {
+      const bucket = this.rows.get(row);
+      if (bucket) bucket.forEach(item => out.add(item));
+    }
+    return Array.from(out);
+  }
+
+  /**
+   * Sort indexed items in the order they were inserted in, in place.
+   * Lookups then return the same as a linear scan of the indexed layout.
+   */
+  sortByPosition(items: Array<T>): Array<T> {
+    const { positions } = this;
+    if (items.length > 1) {
+      // $FlowIgnore every item is indexed
+      items.sort((a, b) => positions.get(a) - positions.get(b));
+    }
+    return items;
+  }
+
+  // Items bucketed in a single row. Used for walking the grid row by row.
+  getRow(row: number): ?Set<T> {
+    return this.rows.get(row);
+  }
+
+  /**
+   * Same as `bottom(layout)` for the indexed items.
+   */
+  bottom(): number {
+    if (this.bottomDirty) {
+      let max = 0;
+      this.spans.forEach((_span, item) => {
+        if (item.y + item.h > max) max = item.y + item.h;
+      });
+      this.unbounded.forEach(item => {
+        if (item.y + item.h > max) max = item.y + item.h;
+      });
+      this.maxBottom = max;
+      this.bottomDirty = false;
+    }
+    return this.maxBottom;
+  }
+}
@@ -3,7 +3,11 @@
 // Helper for generating column width
 // 用于生成列宽的帮助程序
 export function calcGridColWidth(positionParams) {
-  const { margin, containerPadding, containerWidth, cols } = positionParams;
+  const { margin, containerPadding, containerWidth, cols, colWidth } =
+    positionParams;
+  // A fixed column width doesn't follow the container
+  // 固定列宽时不随容器宽度变化
+  if (colWidth != null) return colWidth;
   // containerPadding容器的左右内边距宽度、cols - 1个margin网格列之间的间距、cols是网格的列数
   // TODO:(janko) 减去margin[0] * (cols - 1)？：
   // 例如：在cols长度的距离种树，两头都没有树，每棵树宽度为 margin[0]，树之间的距离为 calcGridColWidth，
@@ -12,6 +16,21 @@ export function calcGridColWidth(positionParams) {
   );
 }
 
+// Number of columns: `cols`, or as many fixed-width columns as fit in the container
+// 列数：`cols`，固定列宽时为容器能放下的列数
+export function calcColCount(positionParams) {
+  const { margin, containerPadding, containerWidth, cols, colWidth } =
+    positionParams;
+  if (colWidth == null) return cols;
+  return Math.max(
+    Math.floor(
+      (containerWidth - containerPadding[0] * 2 + margin[0]) /
+        (colWidth + margin[0])
+    ),
+    1
+  );
+}
+
 // This can either be called:
 // 这可以被称为：
 // calcGridItemWHPx(w, colWidth, margin[0])
@@ -36,6 +55,72 @@ export function calcGridItemWHPx(
   );
 }
 
+// Height of row `y` in px. `rowHeight` is a number, a function of the row index or an
+// array of heights; rows past the end of the array take its last height.
+// 第 y 行的高度（px）。rowHeight 可以是数字、按行号返回高度的函数或高度数组
+export function calcRowHeight(rowHeight, y) {
+  if (typeof rowHeight === "number") return rowHeight;
+  if (typeof rowHeight === "function") return rowHeight(y);
+  return rowHeight[Math.min(y, rowHeight.length - 1)];
+}
+
+// Top of row `y` in px, from the top of the first row.
+// 第 y 行顶部到第一行顶部的距离（px）
+export function calcRowTop(positionParams, y) {
+  const { margin, rowHeight } = positionParams;
+  if (typeof rowHeight === "number") return (rowHeight + margin[1]) * y;
+  let top = 0;
+  for (let row = 0; row < y; row++) {
+    top += calcRowHeight(rowHeight, row) + margin[1];
+  }
+  return top;
+}
+
+// Height in px of `h` rows starting at row `y`, with the margins between them.
+// 从第 y 行开始的 h 行的高度（px），包括行之间的 margin
+export function calcRowsHeight(positionParams, y, h) {
+  const { margin, rowHeight } = positionParams;
+  if (typeof rowHeight === "number") {
+    return calcGridItemWHPx(h, rowHeight, margin[1]);
+  }
+  if (!Number.isFinite(h)) return h;
+  return Math.round(
+    calcRowTop(positionParams, y + h) -
+      calcRowTop(positionParams, y) -
+      margin[1]
+  );
+}
+
+// Fewest rows, starting at row `y`, that are at least `height` px high; at least one
+// and at most up to maxRows.
+// 从第 y 行开始，至少 height px 高所需的最少行数
+export function calcRowsForHeight(positionParams, y, height) {
+  const { margin, rowHeight, maxRows } = positionParams;
+  const maxH = Math.max(maxRows - y, 1);
+  if (typeof rowHeight === "number") {
+    const h = Math.ceil((height + margin[1]) / (rowHeight + margin[1]));
+    return clamp(h, 1, maxH);
+  }
+  let h = 1;
+  while (h < maxH && calcRowsHeight(positionParams, y, h) < height) h++;
+  return h;
+}
+
+// Row whose top is nearest to `top` px (from the top of the first row).
+// 顶部离 top 最近的行
+function nearestRow(positionParams, top, maxRow) {
+  const { margin, rowHeight } = positionParams;
+  let y = 0;
+  let rowTop = 0;
+  while (y < maxRow) {
+    const next = rowTop + calcRowHeight(rowHeight, y) + margin[1];
+    if (next > top) return next - top < top - rowTop ? y + 1 : y;
+    rowTop = next;
+    y++;
+  }
+  return y;
+}
+
 /**
  * Return position on the page given an x, y, w, h.
  * left, top, width, height are all in pixels.
@@ -56,7 +141,8 @@ export function calcGridItemPosition(
   h,
   state
 ) {
-  const { margin, containerPadding, rowHeight } = positionParams;
+  const { margin, containerPadding, containerWidth, direction } =
+    positionParams;
   const colWidth = calcGridColWidth(positionParams);
   const out = {};
 
@@ -68,7 +154,7 @@ export function calcGridItemPosition(
   // Otherwise, calculate from grid units.
   else {
     out.width = calcGridItemWHPx(w, colWidth, margin[0]);
-    out.height = calcGridItemWHPx(h, rowHeight, margin[1]);
+    out.height = calcRowsHeight(positionParams, y, h);
   }
 
   // If dragging, use the exact width and height as returned from dragging callbacks.
@@ -88,13 +174,103 @@ export function calcGridItemPosition(
   // top、left的计算是 （树+树之间的间距）*x 跟width、height的计算（calcGridItemWHPx）不同
   // ps：比如 cols为12（11棵树，12个colWidth），元素长度w为10（9棵树，10个colWidth）， y为2（2棵树，2个colWidth），所以有下面的算法
   else {
-    out.top = Math.round((rowHeight + margin[1]) * y + containerPadding[1]);
-    out.left = Math.round((colWidth + margin[0]) * x + containerPadding[0]);
+    out.top = Math.round(calcRowTop(positionParams, y) + containerPadding[1]);
+    const left = (colWidth + margin[0]) * x + containerPadding[0];
+    // Right to left: x counts columns from the right edge
+    // 从右到左：x 从右边开始数列
+    out.left = Math.round(
+      direction === "rtl"
+        ? containerWidth - left - calcGridItemWHPx(w, colWidth, margin[0])
+        : left
+    );
   }
 
   return out;
 }
 
+// `fraction` of the container width plus `px` pixels, as a CSS length.
+// 容器宽度的 `fraction` 加上 `px` 像素，作为 CSS 长度。
+function cssLength(fraction, px) {
+  const rounded = Math.round(px * 1000) / 1000;
+  const percent = Math.round(fraction * 1e6) / 1e4 + "%";
+  if (rounded === 0) return percent;
+  return `calc(${percent} ${rounded < 0 ? "-" : "+"} ${Math.abs(rounded)}px)`;
+}
+
+/**
+ * Horizontal position of a grid item as CSS lengths relative to the container width,
+ * used for server rendering before the real width is known. Exact at any container
+ * width since margins and padding stay in px. Returns null for a fixed colWidth.
+ * 以相对容器宽度的 CSS 长度表示 item 的水平位置，用于服务端渲染（此时不知道真实宽度）。
+ * margin 和 padding 保持 px，因此任何容器宽度下都准确。固定 colWidth 时返回 null。
+ * @param  {PositionParams} positionParams  Parameters of grid needed for coordinates calculations.
+ * @param  {Number}  x                      X coordinate in grid units.
+ * @param  {Number}  w                      W coordinate in grid units.
+ * @return {Object|null}                    {left, width} CSS values.
+ */
+export function calcGridItemPercentages(positionParams, x, w) {
+  const { margin, containerPadding, cols, colWidth, direction } =
+    positionParams;
+  if (colWidth != null || !Number.isFinite(w)) return null;
+  // Pixels of the container width that are not columns
+  // 容器宽度中不属于列的像素
+  const fixed = margin[0] * (cols - 1) + containerPadding[0] * 2;
+  // Right to left: the same position counted from the other edge
+  // 从右到左：从另一边数的相同位置
+  const col = direction === "rtl" ? cols - x - w : x;
+  return {
+    left: cssLength(
+      col / cols,
+      containerPadding[0] + col * margin[0] - (col * fixed) / cols
+    ),
+    width: cssLength(
+      w / cols,
+      Math.max(0, w - 1) * margin[0] - (w * fixed) / cols
+    )
+  };
+}
+
+/**
+ * Container style for the CSS Grid renderer (`useCSSGrid`): one track per column and row,
+ * margins as gaps and the padding on the container. Columns share the container's content
+ * box, so no measured width is needed, unless `colWidth` is fixed.
+ * CSS Grid 渲染（`useCSSGrid`）的容器样式：每列、每行一条轨道，margin 为间隙，padding 在容器上。
+ * 列平分容器内容区，无需测量宽度（固定 colWidth 除外）。
+ * @param  {PositionParams} positionParams  Parameters of grid needed for coordinates calculations.
+ * @param  {Number} rows                    Rows in the layout.
+ * @return {Object}                         Style of the grid container.
+ */
+export function calcGridTemplate(positionParams, rows) {
+  const { margin, containerPadding, cols, colWidth, rowHeight } =
+    positionParams;
+  const column =
+    colWidth != null
+      ? `${colWidth}px`
+      : `calc((100% - ${margin[0] * (cols - 1)}px) / ${cols})`;
+  const style = {
+    display: "grid",
+    gridTemplateColumns: `repeat(${cols}, ${column})`,
+    // Items past the last column of a horizontal grid
+    // 水平网格中超出最后一列的 item
+    gridAutoColumns: column,
+    columnGap: `${margin[0]}px`,
+    rowGap: `${margin[1]}px`,
+    padding: `${containerPadding[1]}px ${containerPadding[0]}px`,
+    boxSizing: "border-box"
+  };
+  if (typeof rowHeight === "number") {
+    style.gridAutoRows = `${rowHeight}px`;
+  } else {
+    const heights = [];
+    for (let y = 0; y < rows; y++) {
+      heights.push(`${calcRowHeight(rowHeight, y)}px`);
+    }
+    style.gridTemplateRows = heights.join(" ") || "none";
+    style.gridAutoRows = `${calcRowHeight(rowHeight, rows)}px`;
+  }
+  return style;
+}
+
 /**
  * Translate x and y coordinates from pixels to grid units.
  * 将x和y坐标从像素转换为栅格单位。
@@ -115,6 +291,15 @@ export function calcXY(
   const { margin, cols, rowHeight, maxRows, containerPadding } = positionParams;
   const colWidth = calcGridColWidth(positionParams);
 
+  // Right to left: measure from the right edge, see calcGridItemPosition
+  // 从右到左：从右边开始量
+  if (positionParams.direction === "rtl") {
+    left =
+      positionParams.containerWidth -
+      left -
+      calcGridItemWHPx(w, colWidth, margin[0]);
+  }
+
   // left = colWidth * x + margin * (x + 1)
   // l = cx + m(x+1)
   // l = cx + mx + m
@@ -125,11 +310,14 @@ export function calcXY(
   // 根据 calcGridItemPosition 里面的  out.top 计算结果反过来计算
   // TODO:(janko) 计算有问题，Math.round((left - containerPadding[0]) / (colWidth + margin[0]))
   let x = Math.round((left - containerPadding[0]) / (colWidth + margin[0]));
-  let y = Math.round((top - containerPadding[1]) / (rowHeight + margin[1]));
+  let y =
+    typeof rowHeight === "number"
+      ? Math.round((top - containerPadding[1]) / (rowHeight + margin[1]))
+      : nearestRow(positionParams, top - containerPadding[1], maxRows - h);
 
   // Capping
   // 取 0-cols - w中间的值，不超过 cols 跟 maxRows
-  x = clamp(x, 0, cols - w);
+  x = clamp(x, 0, (positionParams.maxCols || cols) - w);
   y = clamp(y, 0, maxRows - h);
 
   return { x, y };
@@ -144,6 +332,9 @@ export function calcXY(
  * @param  {Number} x                       X coordinate in grid units. x以网格为单位的x坐标
  * @param  {Number} y                       Y coordinate in grid units. y以网格为单位的y坐标
  * @param {String} handle Resize Handle.
+ * @param  {Number} bottom                  Row under the item's bottom edge. Rows of different
+ *                                          heights are counted up from it for the north handles.
+ *                                          item 底边下面的行，行高不同时北向手柄从它往上数行
  * @return {Object}                         w, h as grid units. w，h作为网格单位。
  */
 export function calcWH(
@@ -152,7 +343,8 @@ export function calcWH(
   height,
   x,
   y,
-  handle
+  handle,
+  bottom
 ) {
   const { margin, maxRows, cols, rowHeight } = positionParams;
   const colWidth = calcGridColWidth(positionParams);
@@ -162,10 +354,23 @@ export function calcWH(
   // w = (width + margin) / (colWidth + margin)
   // 根据 calcGridItemWHPx 里面的计算结果反过来计算
   const w = Math.round((width + margin[0]) / (colWidth + margin[0]));
-  const h = Math.round((height + margin[1]) / (rowHeight + margin[1]));
+  let h;
+  if (typeof rowHeight === "number") {
+    h = Math.round((height + margin[1]) / (rowHeight + margin[1]));
+  } else if (["nw", "n", "ne"].indexOf(handle) !== -1 && bottom != null) {
+    // Rows above the bottom edge, nearest first
+    // 从底边往上数
+    const bottomPx = calcRowTop(positionParams, bottom);
+    h =
+      bottom -
+      nearestRow(positionParams, bottomPx - height - margin[1], bottom);
+  } else {
+    const topPx = calcRowTop(positionParams, y);
+    h = nearestRow(positionParams, topPx + height + margin[1], maxRows) - y;
+  }
 
   // Capping
-  let _w = clamp(w, 0, cols - x);
+  let _w = clamp(w, 0, (positionParams.maxCols || cols) - x);
   let _h = clamp(h, 0, maxRows - y);
   if (["sw", "w", "nw"].indexOf(handle) !== -1) {
     _w = clamp(w, 0, cols);
@@ -176,6 +381,93 @@ export function calcWH(
   return { w: _w, h: _h };
 }
 
+/**
+ * Snap the size a resize asks for to the nearest one that keeps an item's aspect ratio
+ * and fits its bounds.
+ * 保持宽高比的缩放：取最接近且满足约束的网格尺寸。
+ * @param  {PositionParams} positionParams  Parameters of grid needed for coordinates calculations. 坐标计算所需的网格参数。
+ * @param  {Number} w                       W asked for, in grid units. 要求的 w
+ * @param  {Number} h                       H asked for, in grid units. 要求的 h
+ * @param  {Number} y                       Y coordinate in grid units. y以网格为单位的y坐标
+ * @param  {Number} bottom                  Row under the item's bottom edge, see calcWH. item 底边下面的行
+ * @param  {String} handle                  Resize handle.
+ * @param  {Object} item                    {aspectRatio, aspectRatioUnits, minW, maxW, minH, maxH}.
+ *                                          aspectRatio is width / height, in px or, with
+ *                                          aspectRatioUnits "grid", in grid units.
+ * @return {Object}                         w, h as grid units. w，h作为网格单位。
+ */
+export function calcAspectWH(positionParams, w, h, y, bottom, handle, item) {
+  const { margin } = positionParams;
+  const { aspectRatio, aspectRatioUnits, minW, maxW, minH, maxH } = item;
+  const colWidth = calcGridColWidth(positionParams);
+  const north = ["nw", "n", "ne"].indexOf(handle) !== -1;
+  const widthPx = w => calcGridItemWHPx(w, colWidth, margin[0]);
+  const heightPx = h =>
+    calcRowsHeight(positionParams, north ? bottom - h : y, h);
+
+  // H nearest to the ratio for a given w, and the other way around
+  // 给定 w 时最接近宽高比的 h，反之亦然
+  const fitH = w => {
+    if (aspectRatioUnits === "grid") return Math.round(w / aspectRatio);
+    const target = widthPx(w) / aspectRatio;
+    let h = 1;
+    while (heightPx(h) < target && (!north || h < bottom)) h++;
+    return h > 1 && target - heightPx(h - 1) < heightPx(h) - target ? h - 1 : h;
+  };
+  const fitW = h => {
+    if (aspectRatioUnits === "grid") return Math.round(h * aspectRatio);
+    return Math.round(
+      (heightPx(h) * aspectRatio + margin[0]) / (colWidth + margin[0])
+    );
+  };
+  const fits = c =>
+    c.w >= Math.max(minW, 1) &&
+    c.w <= maxW &&
+    c.h >= Math.max(minH, 1) &&
+    c.h <= maxH;
+
+  const candidates = [];
+  const limit = 2 * Math.max(w, h, minW, minH) + 1;
+  for (let n = 1; n <= limit; n++) {
+    candidates.push({ w: n, h: fitH(n) }, { w: fitW(n), h: n });
+  }
+
+  // Side handles keep the dimension they drag as close as they can, corners the size
+  // 边上的手柄尽量保持拖动的那一维，角上的手柄尽量保持大小
+  const distance = c => {
+    const dw = widthPx(c.w) - widthPx(w);
+    const dh = heightPx(c.h) - heightPx(h);
+    if (handle === "e" || handle === "w") {
+      return [Math.abs(c.w - w), Math.abs(dh)];
+    }
+    if (handle === "n" || handle === "s") {
+      return [Math.abs(c.h - h), Math.abs(dw)];
+    }
+    return [dw * dw + dh * dh, 0];
+  };
+  let best = null;
+  let bestDistance = null;
+  candidates.filter(fits).forEach(c => {
+    const d = distance(c);
+    if (
+      !best ||
+      d[0] < bestDistance[0] ||
+      (d[0] === bestDistance[0] && d[1] < bestDistance[1])
+    ) {
+      best = c;
+      bestDistance = d;
+    }
+  });
+  // The bounds don't allow the ratio
+  if (!best) {
+    return {
+      w: clamp(w, Math.max(minW, 1), maxW),
+      h: clamp(h, Math.max(minH, 1), maxH)
+    };
+  }
+  return best;
+}
+
 // Similar to _.clamp
 // 返回限制在 lowerBound 和 upperBound 之间的值
 export function clamp(
@@ -17,19 +17,22 @@ export default function WidthProvideRGL(
 ) {
   return class WidthProvider extends React.Component {
     static defaultProps = {
-      measureBeforeMount: false
+      measureBeforeMount: false,
+      initialWidth: 1280
     };
 
     static propTypes = {
       // If true, will not render children until mounted. Useful for getting the exact width before
       // rendering, to prevent any unsightly resizing.
       measureBeforeMount: PropTypes.bool,
+      // Width until the container is measured, e.g. when rendering on the server.
+      initialWidth: PropTypes.number,
       className: PropTypes.string,
       style: PropTypes.object
     };
 
     state = {
-      width: 1280,
+      width: this.props.initialWidth,
       height: null
     };
 
@@ -49,6 +52,9 @@ export default function WidthProvideRGL(
       });
       const node = this.elementRef.current;
       if (node instanceof HTMLElement) {
+        // Measure now rather than on the first (async) observer callback, so the render
+        // that replaces server-rendered percentages already has the real width.
+        if (node.offsetWidth) this.setState({ width: node.offsetWidth });
         this.resizeObserver.observe(node);
       }
     }
@@ -63,7 +69,11 @@ export default function WidthProvideRGL(
     }
 
     render() {
-      const { measureBeforeMount, ...rest } = this.props;
+      const {
+        measureBeforeMount,
+        initialWidth: _initialWidth,
+        ...rest
+      } = this.props;
       if (measureBeforeMount && !this.mounted) {
         return (
           <div
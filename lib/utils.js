@@ -1,6 +1,7 @@
 // @flow
 import { deepEqual } from "fast-equals";
 import React from "react";
+import SpatialIndex from "./SpatialIndex";
 
 const isProduction = process.env.NODE_ENV === "production";
 const DEBUG = false;
@@ -23,6 +24,22 @@ export function bottom(layout) {
   return max;
 }
 
+/**
+ * Return the right coordinate of the layout: the first column past every item.
+ * 返回布局的右侧坐标。
+ *
+ * @param  {Array} layout Layout array.
+ * @return {Number}       Right coordinate.
+ */
+export function right(layout) {
+  let max = 0;
+  for (let i = 0, len = layout.length; i < len; i++) {
+    const rightX = layout[i].x + layout[i].w;
+    if (rightX > max) max = rightX;
+  }
+  return max;
+}
+
 // 克隆布局
 export function cloneLayout(layout) {
   const newLayout = Array(layout.length);
@@ -84,7 +101,11 @@ export function cloneLayoutItem(layoutItem) {
     isDraggable: layoutItem.isDraggable,
     isResizable: layoutItem.isResizable,
     resizeHandles: layoutItem.resizeHandles,
-    isBounded: layoutItem.isBounded
+    isBounded: layoutItem.isBounded,
+    autoHeight: layoutItem.autoHeight,
+    aspectRatio: layoutItem.aspectRatio,
+    aspectRatioUnits: layoutItem.aspectRatioUnits,
+    group: layoutItem.group
   };
 }
 
@@ -151,17 +172,49 @@ export function collides(l1, l2) {
  * @param  {Boolean} verticalCompact Whether or not to compact the layout 是否压缩布局
  *   vertically.
  * @param  {Boolean} allowOverlap When `true`, allows overlapping grid items. 当“true”时，允许重叠网格项。
+ * @param  {Number}  [maxRows]    Horizontal compaction keeps items above this row.
+ * @param  {Boolean} [growHorizontally] Horizontal compaction leaves items past the last
+ *   column instead of wrapping them to the next row.
+ * Layout groups are compacted as one item the size of their bounding box.
+ * 布局分组按其外接矩形作为一个元素压缩。
  * @return {Array}       Compacted Layout. 紧凑布局
  */
 export function compact(
   layout,
   compactType,
   cols,
-  allowOverlap
+  allowOverlap,
+  maxRows = Infinity,
+  growHorizontally = false
+) {
+  const out = withLayoutGroupsAsItems(layout, [], grouped =>
+    compactItems(
+      grouped,
+      compactType,
+      cols,
+      allowOverlap,
+      maxRows,
+      growHorizontally
+    )
+  );
+  // Group members come back from ungroupLayoutItems() marked as moved
+  out.forEach(l => (l.moved = false));
+  return out;
+}
+
+function compactItems(
+  layout,
+  compactType,
+  cols,
+  allowOverlap,
+  maxRows,
+  growHorizontally
 ) {
   // Statics go in the compareWith array right away so items flow around them.
   // 1、存放移动处理后的元素或者不需要移动的元素的
   const compareWith = getStatics(layout);
+  // Kept in sync with compareWith so collision lookups don't scan the whole layout.
+  const index = new SpatialIndex(compareWith);
   // We go through the items by row and column.
   // compactType 为 null的话，返回 layout
   const sorted = sortLayoutItems(layout, compactType);
@@ -176,13 +229,24 @@ export function compact(
     // Don't move static elements
     if (!l.static) {
       // 3、重新布局（处理需要移动的元素）
-      l = compactItem(compareWith, l, compactType, cols, sorted, allowOverlap);
+      l = compactItem(
+        compareWith,
+        l,
+        compactType,
+        cols,
+        sorted,
+        allowOverlap,
+        index,
+        maxRows,
+        growHorizontally
+      );
 
       // Add to comparison array. We only collide with items before this one.
       //添加到比较数组。我们只与在此之前的项目发生碰撞。
       // Statics are already in this array.
       //Statics已经在此阵列中。
       compareWith.push(l);
+      index.insert(l);
     }
 
     // Add to output array to make sure they still come out in the right order.
@@ -245,6 +309,61 @@ function resolveCompactionCollision(
   item[axis] = moveToCoord;
 }
 
+/**
+ * Move an item back along `axis` (towards 0) until it would collide with an item in
+ * `index`, or reaches 0. This gives exactly the same result as
+ *
+ *   while (l[axis] > 0 && !getFirstCollision(compareWith, l)) l[axis]--;
+ *
+ * but computes the stopping point from the nearby items instead of testing every step.
+ * 将元素沿 axis 方向往回移动，直到发生碰撞或到达 0（直接计算停止位置，而不是逐行移动）。
+ * Modifies item.
+ */
+function slideBack(index, l, axis) {
+  const start = l[axis];
+  if (!(start > 0) || getIndexedCollisions(index, l).length) return;
+
+  const sizeProp = heightWidth[axis];
+  const crossAxis = axis === "x" ? "y" : "x";
+  const crossSizeProp = heightWidth[crossAxis];
+  const size = l[sizeProp];
+  // Number of steps it takes to reach 0 if nothing is in the way.
+  let steps = Math.ceil(start);
+
+  const consider = other => {
+    if (other.i === l.i) return;
+    // Must overlap on the other axis to ever collide.
+    if (
+      other[crossAxis] + other[crossSizeProp] <= l[crossAxis] ||
+      other[crossAxis] >= l[crossAxis] + l[crossSizeProp]
+    ) {
+      return;
+    }
+    // Ahead of us; moving back only takes us further away.
+    if (other[axis] >= start + size) return;
+    // We don't collide at `start`, so `other` ends at or before it.
+    // Find the first step at which we'd overlap its far edge...
+    const step = Math.floor(start - (other[axis] + other[sizeProp])) + 1;
+    // ...and whether we'd still be overlapping its near edge at that step.
+    if (step < steps && start - step + size > other[axis]) steps = step;
+  };
+
+  if (axis === "y") {
+    // Walk up row by row. An item first seen in row `row` ends at or before `row + 1`,
+    // so once that can no longer beat the best stop found, we're done.
+    for (let row = Math.floor(start); row >= index.minRow; row--) {
+      if (Math.floor(start - row - 1) + 1 >= steps) break;
+      const bucket = index.getRow(row);
+      if (bucket) bucket.forEach(consider);
+    }
+    index.unbounded.forEach(consider);
+  } else {
+    index.query(l.y, l.h).forEach(consider);
+  }
+
+  l[axis] = start - steps;
+}
+
 /**
  * 核心代码---布局整理
  * Compact an item in the layout.
@@ -258,10 +377,14 @@ export function compactItem(
   compactType,
   cols,
   fullLayout, // 排序过的layout
-  allowOverlap
+  allowOverlap,
+  index, // Optional SpatialIndex of `compareWith`
+  maxRows = Infinity,
+  growHorizontally = false
 ) {
   const compactV = compactType === "vertical";
   const compactH = compactType === "horizontal";
+  if (!index) index = new SpatialIndex(compareWith);
   if (compactV) {
     // Bottom 'y' possible is the bottom of the layout.
     //底部“y”可能是布局的底部。
@@ -269,18 +392,16 @@ export function compactItem(
     //这允许你做一些不错的事情，比如指定{y:Infinity}
     // This is here because the layout must be sorted in order to get the correct bottom `y`.
     //这是因为必须对布局进行排序才能得到正确的底部“y”。
-    l.y = Math.min(bottom(compareWith), l.y);
+    l.y = Math.min(index.bottom(), l.y);
     // Move the element up as far as it can go without colliding.
     // 在不发生碰撞的情况下，尽可能向上移动元素。---布局压缩
-    while (l.y > 0 && !getFirstCollision(compareWith, l)) {
-      l.y--;
-    }
+    slideBack(index, l, "y");
   } else if (compactH) {
+    // Rows are the fixed dimension: stay within maxRows
+    l.y = Math.max(Math.min(l.y, maxRows - l.h), 0);
     // Move the element left as far as it can go without colliding.
     //在不发生碰撞的情况下，尽可能向左移动元素。
-    while (l.x > 0 && !getFirstCollision(compareWith, l)) {
-      l.x--;
-    }
+    slideBack(index, l, "x");
   }
 
   // Move it down, and keep moving it down if it's colliding.
@@ -290,7 +411,7 @@ export function compactItem(
   //检查compactType null值以避免在允许重叠时破坏布局。
   // 4、如果 compareWith 内部存在跟 l 碰撞的元素 collides，则移动 l 的位置为 collides 的 collides.y + collides.h（可以保证跟 collides 不再碰撞）
   while (
-    (collides = getFirstCollision(compareWith, l)) &&
+    (collides = getFirstCollision(compareWith, l, index)) &&
     !(compactType === null && allowOverlap)
   ) {
     if (compactH) {
@@ -298,14 +419,18 @@ export function compactItem(
     } else {
       resolveCompactionCollision(fullLayout, l, collides.y + collides.h, "y");
     }
-    // Since we can't grow without bounds horizontally, if we've overflown, let's move it down and try again.
-    if (compactH && l.x + l.w > cols) {
+    // Past the last column: move it down and try again, unless the grid grows to the right
+    // or there is no row left below maxRows. Then it stays past the last column.
+    if (
+      compactH &&
+      l.x + l.w > cols &&
+      !growHorizontally &&
+      l.y + 1 + l.h <= maxRows
+    ) {
       l.x = cols - l.w;
       l.y++;
       // ALso move element as left as we can
-      while (l.x > 0 && !getFirstCollision(compareWith, l)) {
-        l.x--;
-      }
+      slideBack(index, l, "x");
     }
   }
 
@@ -316,6 +441,167 @@ export function compactItem(
   return l;
 }
 
+// Which cells are taken while packing, see packLayout(). Rows grow as needed.
+class PackingGrid {
+  rows = [];
+
+  constructor(cols) {
+    this.cols = cols;
+  }
+
+  taken(x, y) {
+    if (x < 0 || x >= this.cols || y < 0) return true;
+    const row = this.rows[y];
+    return Boolean(row && row[x]);
+  }
+
+  fits(x, y, w, h) {
+    for (let j = y; j < y + h; j++) {
+      for (let k = x; k < x + w; k++) {
+        if (this.taken(k, j)) return false;
+      }
+    }
+    return true;
+  }
+
+  fill(l) {
+    for (let j = Math.max(l.y, 0); j < l.y + l.h; j++) {
+      const row = this.rows[j] || (this.rows[j] = Array(this.cols).fill(false));
+      for (let k = Math.max(l.x, 0); k < Math.min(l.x + l.w, this.cols); k++) {
+        row[k] = true;
+      }
+    }
+  }
+
+  // Taken cells (or sides of the grid) along the outside of l placed at (x, y)
+  contact(x, y, w, h) {
+    let count = 0;
+    for (let j = y; j < y + h; j++) {
+      if (this.taken(x - 1, j)) count++;
+      if (this.taken(x + w, j)) count++;
+    }
+    for (let k = x; k < x + w; k++) {
+      if (this.taken(k, y - 1)) count++;
+      if (this.taken(k, y + h)) count++;
+    }
+    return count;
+  }
+
+  // Every free cell for l, row by row, until `visit` returns true.
+  // Below the last row everything is free, so there is always one.
+  forEachFreeCell(l, visit) {
+    for (let y = 0; y <= this.rows.length; y++) {
+      for (let x = 0; x + l.w <= this.cols; x++) {
+        if (this.fits(x, y, l.w, l.h) && visit(x, y)) return;
+      }
+    }
+  }
+
+  firstCell(l) {
+    let cell;
+    this.forEachFreeCell(l, (x, y) => {
+      cell = { x, y };
+      return true;
+    });
+    return cell;
+  }
+
+  bestCell(l) {
+    let cell;
+    let best = -1;
+    this.forEachFreeCell(l, (x, y) => {
+      const score = this.contact(x, y, l.w, l.h);
+      if (score > best) {
+        best = score;
+        cell = { x, y };
+      }
+      return false;
+    });
+    return cell;
+  }
+
+  skylineCell(l, heights) {
+    let cell;
+    for (let x = 0; x + l.w <= this.cols; x++) {
+      let y = Math.max(...heights.slice(x, x + l.w));
+      // Past static items
+      while (!this.fits(x, y, l.w, l.h)) y++;
+      if (!cell || y < cell.y) cell = { x, y };
+    }
+    return cell;
+  }
+}
+
+// Strategies of packLayout()
+export const PACK_STRATEGIES = ["first-fit", "best-fit", "skyline"];
+
+/**
+ * Arrange a layout from scratch, e.g. widgets that only come with a `w` and `h`.
+ * 自动排列布局（装箱）。
+ * Static items stay where they are. The others are placed in layout order, after their
+ * `w` and `h` are brought within `minW`/`maxW`/`minH`/`maxH` and the number of columns.
+ *
+ * - "first-fit": the first cell where the item fits, row by row. Fills gaps.
+ * - "best-fit": of all the cells where the item fits, the one where it touches the most
+ *   edges (of other items, and the sides and top of the grid): the tightest gap.
+ * - "skyline": on top of the items already placed, as high as possible, then as far
+ *   left. Never goes into gaps, so the items read in order.
+ *
+ * Does not modify layout items (clones).
+ *
+ * @param  {Array}  layout     Layout. Items need `i`, `w` and `h`.
+ * @param  {Number} cols       Number of columns.
+ * @param  {String} [strategy] One of PACK_STRATEGIES, "first-fit" by default.
+ * @param  {Number} [maxRows]  Number of rows. Static items are only packed around above it.
+ * @return {Array}             Packed layout, in the same order.
+ */
+export function packLayout(
+  layout,
+  cols,
+  strategy = "first-fit",
+  maxRows = Infinity
+) {
+  if (PACK_STRATEGIES.indexOf(strategy) === -1) {
+    throw new Error("ReactGridLayout: unknown packLayout strategy " + strategy);
+  }
+  const cells = new PackingGrid(cols);
+  const out = layout.map(cloneLayoutItem);
+  // Statics that never end (h: Infinity) are filled down to the last row the others can
+  // reach, else filling them would never finish.
+  const lastRow = Number.isFinite(maxRows)
+    ? maxRows
+    : bottom(out.filter(l => l.static && Number.isFinite(l.h))) +
+      out.reduce((sum, l) => sum + (l.static ? 0 : l.h || 1), 0);
+  out.forEach(l => {
+    if (l.static) cells.fill({ ...l, h: Math.min(l.h, lastRow - l.y) });
+  });
+  // Top of the items placed so far, per column, for "skyline"
+  const heights = Array(cols).fill(0);
+
+  for (let i = 0, len = out.length; i < len; i++) {
+    const l = out[i];
+    if (l.static) continue;
+    l.w = Math.min(
+      Math.max(Math.min(l.w || 1, l.maxW || Infinity), l.minW || 1),
+      cols
+    );
+    l.h = Math.max(Math.min(l.h || 1, l.maxH || Infinity), l.minH || 1);
+
+    const cell =
+      strategy === "skyline"
+        ? cells.skylineCell(l, heights)
+        : strategy === "best-fit"
+          ? cells.bestCell(l)
+          : cells.firstCell(l);
+    l.x = cell.x;
+    l.y = cell.y;
+    l.moved = false;
+    cells.fill(l);
+    for (let x = l.x; x < l.x + l.w; x++) heights[x] = l.y + l.h;
+  }
+  return out;
+}
+
 /**
  * Given a layout, make sure all elements fit within its bounds.
  *
@@ -323,7 +609,8 @@ export function compactItem(
  * 给定布局，确保所有元素都在其边界内，修改布局项。
  *
  * @param  {Array} layout Layout array.
- * @param  {Number} bounds Number of columns.
+ * @param  {Object} bounds {cols}: number of columns. With `growHorizontally`, items
+ *                         may go past the last column.
  */
 export function correctBounds(
   layout,
@@ -333,8 +620,10 @@ export function correctBounds(
   const collidesWith = getStatics(layout);
   for (let i = 0, len = layout.length; i < len; i++) {
     const l = layout[i];
-    // Overflows right
-    if (l.x + l.w > bounds.cols) l.x = bounds.cols - l.w;
+    // Overflows right, unless the grid grows to the right
+    if (!bounds.growHorizontally && l.x + l.w > bounds.cols) {
+      l.x = bounds.cols - l.w;
+    }
     // Overflows left
     if (l.x < 0) {
       l.x = 0;
@@ -374,25 +663,42 @@ export function getLayoutItem(layout, id) {
  * 获取第一个碰撞的元素
  *
  * @param  {Object} layoutItem Layout item.
+ * @param  {SpatialIndex} [index] Index built from `layout`. Speeds up the lookup.
  * @return {Object|undefined}  A colliding layout item, or undefined.
  */
 export function getFirstCollision(
   layout,
-  layoutItem
+  layoutItem,
+  index
 ) {
+  if (index) {
+    return getIndexedCollisions(index, layoutItem)[0];
+  }
   for (let i = 0, len = layout.length; i < len; i++) {
     if (collides(layout[i], layoutItem)) return layout[i];
   }
 }
 
 // 获取跟目标元素碰撞的所有元素
+// If `index` (a SpatialIndex built from `layout`) is passed, only nearby items are tested.
 export function getAllCollisions(
   layout,
-  layoutItem
+  layoutItem,
+  index
 ) {
+  if (index) {
+    return getIndexedCollisions(index, layoutItem);
+  }
   return layout.filter(l => collides(l, layoutItem));
 }
 
+// Every indexed item colliding with `layoutItem`, in the order of the indexed layout.
+function getIndexedCollisions(index, layoutItem) {
+  return index.sortByPosition(
+    index.query(layoutItem.y, layoutItem.h).filter(l => collides(l, layoutItem))
+  );
+}
+
 /**
  * Get all static elements.
  * 获取所有静态元素
@@ -414,6 +720,8 @@ export function getStatics(layout) {
  * @param  {LayoutItem} l                 element to move.
  * @param  {Number}     [x]               X position in grid units.
  * @param  {Number}     [y]               Y position in grid units.
+ * @param  {SpatialIndex} [index]         Index of `layout`. Created on the first call and
+ *                                        shared by the cascading moves.
  */
 export function moveElement(
   layout,
@@ -424,7 +732,8 @@ export function moveElement(
   preventCollision,
   compactType,
   cols,
-  allowOverlap
+  allowOverlap,
+  index
 ) {
   // If this is static and not explicitly enabled as draggable,
   //如果这是静态的并且没有被明确地启用为可拖动的，
@@ -449,6 +758,8 @@ export function moveElement(
   if (typeof x === "number") l.x = x;
   if (typeof y === "number") l.y = y;
   l.moved = true;
+  if (index) index.update(l);
+  else index = new SpatialIndex(layout);
 
   // If this collides with anything, move it.
   //如果它与任何东西碰撞，请移动它。
@@ -469,11 +780,9 @@ export function moveElement(
   // $FlowIgnore最近克隆的只读数组的可接受修改
   if (movingUp) sorted = sorted.reverse();
 
-  // TODO: compactType为null，元素往上移动
-  const noCompactTypeMovingUp = !compactType && typeof y === "number" ? oldY >= y : false;
-
   // 2、获取移动过程中碰撞的元素
-  const collisions = getAllCollisions(sorted, l);
+  const collisions = getAllCollisions(layout, l, index);
+  if (sorted !== layout) inSortedOrder(sorted, collisions);
   const hasCollisions = collisions.length > 0;
 
   log('hasCollisions', { hasCollisions, allowOverlap, preventCollision })
@@ -497,9 +806,14 @@ export function moveElement(
     l.x = oldX;
     l.y = oldY;
     l.moved = false;
+    index.update(l);
     return layout; // did not change so don't clone
   }
 
+  // Without compaction nothing is pushed: each item in the way goes to the nearest free cell.
+  // compactType 为 null：被碰撞的元素移到最近的空位
+  if (!compactType) return placeAwayFromCollisions(layout, l, cols, index);
+
   // Move each item that collides away from this element.
   //将每个碰撞的项目移离此元素。
   for (let i = 0, len = collisions.length; i < len; i++) {
@@ -522,7 +836,7 @@ export function moveElement(
         isUserAction,
         compactType,
         cols,
-        noCompactTypeMovingUp
+        index
       );
     } else {
       // 3、移动碰撞的元素
@@ -533,7 +847,7 @@ export function moveElement(
         isUserAction,
         compactType,
         cols,
-        noCompactTypeMovingUp
+        index
       );
     }
   }
@@ -541,6 +855,96 @@ export function moveElement(
   return layout;
 }
 
+// Sort `items` in place in the order of `sorted`, a sorted copy of the layout they are in.
+function inSortedOrder(sorted, items) {
+  if (items.length < 2) return;
+  const positions = new Map();
+  for (let i = 0, len = sorted.length; i < len; i++) {
+    positions.set(sorted[i], i);
+  }
+  // $FlowIgnore every item is in `sorted`
+  items.sort((a, b) => positions.get(a) - positions.get(b));
+}
+
+/**
+ * Make room for `l` without compaction: if it is on a static item it moves to the nearest
+ * cell clear of statics, then every item it covers moves to the nearest free cell, the
+ * top-left one first. Other items stay where they are.
+ * 无压缩模式下为 l 腾出位置，不推动其他元素。
+ * Modifies layout items.
+ *
+ * @param  {Array}        layout Full layout to modify.
+ * @param  {LayoutItem}   l      Item that was moved.
+ * @param  {Number}       cols   Number of columns.
+ * @param  {SpatialIndex} index  Index of `layout`.
+ * @return {Array}               `layout`.
+ */
+function placeAwayFromCollisions(layout, l, cols, index) {
+  if (getAllCollisions(layout, l, index).some(c => c.static)) {
+    const cell = findNearestFreeCell(l, cols, index, other => other.static);
+    log(`Moving ${l.i} off static items to [${cell.x},${cell.y}]`);
+    l.x = cell.x;
+    l.y = cell.y;
+    index.update(l);
+  }
+
+  // A static is still in the way if there was no free cell. Statics never move.
+  const collisions = sortLayoutItemsByRowCol(
+    getAllCollisions(layout, l, index).filter(c => !c.static)
+  );
+  for (let i = 0, len = collisions.length; i < len; i++) {
+    const collision = collisions[i];
+    const cell = findNearestFreeCell(collision, cols, index);
+    log(`Placing ${collision.i} at [${cell.x},${cell.y}], clear of ${l.i}`);
+    collision.x = cell.x;
+    collision.y = cell.y;
+    collision.moved = true;
+    index.update(collision);
+  }
+  return layout;
+}
+
+/**
+ * Find the cell nearest to `l` (by Manhattan distance) where it fits inside the columns
+ * without colliding. Ties go to the higher cell, then to the one on the left, so the
+ * result depends only on the layout.
+ * 按曼哈顿距离寻找离 l 最近的空位。
+ *
+ * @param  {LayoutItem}   l        Item to place. Not modified.
+ * @param  {Number}       cols     Number of columns.
+ * @param  {SpatialIndex} index    Items to avoid. `l` itself is ignored.
+ * @param  {Function}     [blocks] Which items to avoid, all of them by default.
+ * @return {Object}                {x, y} of the cell.
+ */
+export function findNearestFreeCell(l, cols, index, blocks = () => true) {
+  const maxX = Math.max(cols - l.w, 0);
+  const fits = (x, y) => {
+    const candidate = { x, y, w: l.w, h: l.h, i: l.i };
+    return !index
+      .query(y, l.h)
+      .some(other => blocks(other) && collides(other, candidate));
+  };
+  // Below the last item every cell is free, so the search ends there at the latest. Items
+  // that never end (h: Infinity) may leave no free cell: then `l` stays on its row.
+  const bottomY = index.bottom();
+  const lastRow = Number.isFinite(bottomY) ? bottomY : Math.max(l.y, 0);
+  const maxDistance = lastRow + l.h + Math.max(l.x, maxX);
+  for (let d = 0; d <= maxDistance; d++) {
+    for (let dy = -d; dy <= d; dy++) {
+      const y = l.y + dy;
+      if (y < 0) continue;
+      const dx = d - Math.abs(dy);
+      const left = l.x - dx;
+      const right = l.x + dx;
+      if (left >= 0 && left <= maxX && fits(left, y)) return { x: left, y };
+      if (dx && right >= 0 && right <= maxX && fits(right, y)) {
+        return { x: right, y };
+      }
+    }
+  }
+  return { x: Math.min(Math.max(l.x, 0), maxX), y: lastRow };
+}
+
 /**
  * This is where the magic needs to happen - given a collision, move an element away from the collision.
  * *这就是魔法需要发生的地方——给定碰撞，将元素从碰撞中移开。
@@ -550,6 +954,7 @@ export function moveElement(
  * @param  {Array} layout            Full layout to modify.
  * @param  {LayoutItem} collidesWith Layout item we're colliding with. 正在与冲突的布局项目
  * @param  {LayoutItem} itemToMove   Layout item we're moving. 布局我们正在移动的项目
+ * @param  {SpatialIndex} [index]    Index of `layout`, see moveElement().
  */
 export function moveElementAwayFromCollision(
   layout,
@@ -558,7 +963,7 @@ export function moveElementAwayFromCollision(
   isUserAction,
   compactType,
   cols,
-  noCompactTypeMovingUp
+  index
 ) {
   const compactH = compactType === "horizontal";
   // Compact vertically if not set to horizontal
@@ -580,7 +985,7 @@ export function moveElementAwayFromCollision(
     // 4、制作一个模拟项，如果没有设置compactH或者compactV，fakeItem是需要移动的元素 itemToMove（正在移动的元素所碰撞的元素）的copy（i不同）
     // Make a mock item so we don't modify the item here, only modify in moveElement.
     //制作一个模拟项，这样我们就不会在这里修改该项，只会在moveElement中修改。
-    let fakeItem = {
+    const fakeItem = {
       x: compactH ? Math.max(collidesWith.x - itemToMove.w, 0) : itemToMove.x,
       // 模拟项 fakeItem 的 y：就是将碰撞元素 itemToMove 移动到移动元素 collidesWith 顶部后的 y
       // y: compactV ? Math.max(collidesWith.y - itemToMove.h, 0) : itemToMove.y,
@@ -590,22 +995,11 @@ export function moveElementAwayFromCollision(
       i: "-1"
     };
 
-    // TODO: 处理 compactType为空并且向下拖动的情况
-    if (!compactType && !noCompactTypeMovingUp) {
-      fakeItem = {
-        x: itemToMove.x,
-        y: Math.max(collidesWith.y - itemToMove.h, 0),
-        w: itemToMove.w,
-        h: itemToMove.h,
-        i: "-1"
-      };
-    }
-
     // 5、寻找跟模拟项发生碰撞的对象（如果没有设置compactH或者compactV，firstCollision 是正在移动的元素，并且位置是更新后的）
     // 上下移动的时候，firstCollision 是第一个碰撞的元素（上面的元素）
     // 向下移动的时候，firstCollision=collidesWith，是正在拖动的元素
     // 向上移动的时候，firstCollision=itemToMove，是被挤的元素
-    const firstCollision = getFirstCollision(layout, fakeItem);
+    const firstCollision = getFirstCollision(layout, fakeItem, index);
 
     // 第一个跟模拟项碰撞的元素 firstCollision 的底部（y + h）大于移动项 collidesWith 的 y 坐标
     // TODO:(janko) 如果元素从上往下移动的话，collisionNorth 永远为true
@@ -621,19 +1015,6 @@ export function moveElementAwayFromCollision(
       log(
         `Doing reverse collision on ${itemToMove.i} up to [${fakeItem.x},${fakeItem.y}].`
       );
-      // TODO: 处理 compactType为空并且向下拖动的情况
-      if (!compactType && !noCompactTypeMovingUp) {
-        return moveElement(
-          layout,
-          itemToMove,
-          undefined,
-          fakeItem.y,
-          isUserAction,
-          preventCollision,
-          compactType,
-          cols
-        );
-      }
       return moveElement(
         layout,
         itemToMove,
@@ -642,7 +1023,9 @@ export function moveElementAwayFromCollision(
         isUserAction,
         preventCollision,
         compactType,
-        cols
+        cols,
+        false,
+        index
       );
     } else if (collisionNorth && compactV) {
       return moveElement(
@@ -653,37 +1036,10 @@ export function moveElementAwayFromCollision(
         isUserAction,
         preventCollision,
         compactType,
-        cols
+        cols,
+        false,
+        index
       );
-    } else if (collisionNorth && compactType == null) {
-      // 6、改变移动元素跟碰撞元素的位置
-      // 上移
-      if (noCompactTypeMovingUp) {
-        // collidesWith.y = Math.max(itemToMove.y - collidesWith.h, 0);
-        // itemToMove.y = itemToMove.y + 1;
-        // TODO: 被挤的元素的y，调整为移动元素的y+移动元素的h
-        itemToMove.y = collidesWith.y + collidesWith.h;
-        // return sortLayoutItemsByRowCol(layout);
-      } else {
-        // TODO: 不要让 itemToMove 元素下移，否则继续移动的时候，会导致元素上移
-        // 下移
-        // itemToMove.y = collidesWith.y + 1
-        // TODO: 如果 下移 并且有碰撞元素的话，碰撞元素往下移动一个单位（留足空间给碰撞元素往上移动）
-        moveElement(
-          layout,
-          itemToMove,
-          undefined,
-          itemToMove.y + 1,
-          isUserAction,
-          preventCollision,
-          compactType,
-          cols
-        )
-        // return sortLayoutItemsByRowCol(layout);
-      }
-      // return layout;
-      // TODO: 移动后排序
-      return sortLayoutItemsByRowCol(layout);
     } else if (collisionWest && compactH) {
       return moveElement(
         layout,
@@ -693,7 +1049,9 @@ export function moveElementAwayFromCollision(
         isUserAction,
         preventCollision,
         compactType,
-        cols
+        cols,
+        false,
+        index
       );
     }
   }
@@ -712,10 +1070,321 @@ export function moveElementAwayFromCollision(
     isUserAction,
     preventCollision,
     compactType,
-    cols
+    cols,
+    false,
+    index
   );
 }
 
+/**
+ * Used by `dragMode="swap"`: find the item that `l` would trade places with if it were
+ * dropped at (x, y). That is the non-static item whose overlap with `l` covers more than
+ * half of both items, i.e. `l` lands mostly on top of an item of similar size.
+ * 找到拖拽元素放置在 (x, y) 时可以交换位置的元素（重叠面积超过两者各自面积的一半）。
+ *
+ * @param  {Array}      layout Full layout.
+ * @param  {LayoutItem} l      Item being dragged.
+ * @param  {Number}     x      X position in grid units.
+ * @param  {Number}     y      Y position in grid units.
+ * @return {LayoutItem|undefined} Item to swap with, if any.
+ */
+export function getSwapTarget(layout, l, x, y) {
+  const dropped = { ...l, x, y };
+  const area = dropped.w * dropped.h;
+  const collisions = getAllCollisions(layout, dropped);
+  for (let i = 0, len = collisions.length; i < len; i++) {
+    const other = collisions[i];
+    if (other.static) continue;
+    const overlapW =
+      Math.min(dropped.x + dropped.w, other.x + other.w) -
+      Math.max(dropped.x, other.x);
+    const overlapH =
+      Math.min(dropped.y + dropped.h, other.y + other.h) -
+      Math.max(dropped.y, other.y);
+    const overlap = overlapW * overlapH;
+    // At most one item can cover more than half of `l`, so the first match is the only one.
+    if (overlap * 2 > area && overlap * 2 > other.w * other.h) return other;
+  }
+}
+
+/**
+ * Swap the positions of two layout items. Sizes are left alone.
+ * Modifies both items.
+ *
+ * If `preventCollision` is set and the swapped items would overlap each other or any
+ * other item, nothing is changed. Neither is it if an item would go past the last column,
+ * e.g. the wider of the two swapped towards the right side.
+ *
+ * @param  {Array}      layout             Full layout.
+ * @param  {LayoutItem} l1                 Item to swap.
+ * @param  {LayoutItem} l2                 Item to swap with.
+ * @param  {Boolean}    preventCollision   Refuse swaps that would overlap other items.
+ * @param  {Number}     [cols]             Number of columns.
+ * @return {Boolean} Whether the items were swapped.
+ */
+export function swapElements(
+  layout,
+  l1,
+  l2,
+  preventCollision,
+  cols = Infinity
+) {
+  const swapped1 = { ...l1, x: l2.x, y: l2.y };
+  const swapped2 = { ...l2, x: l1.x, y: l1.y };
+  if (swapped1.x + swapped1.w > cols || swapped2.x + swapped2.w > cols) {
+    return false;
+  }
+  if (preventCollision) {
+    const others = layout.filter(l => l.i !== l1.i && l.i !== l2.i);
+    if (
+      collides(swapped1, swapped2) ||
+      getFirstCollision(others, swapped1) ||
+      getFirstCollision(others, swapped2)
+    ) {
+      return false;
+    }
+  }
+  log(
+    `Swapping ${l1.i} at [${l1.x},${l1.y}] with ${l2.i} at [${l2.x},${l2.y}]`
+  );
+  l1.x = swapped1.x;
+  l1.y = swapped1.y;
+  l1.moved = true;
+  l2.x = swapped2.x;
+  l2.y = swapped2.y;
+  l2.moved = true;
+  return true;
+}
+
+// Id of the item standing in for a group of items while they are dragged together.
+export const GROUP_ITEM_ID = "__group__";
+
+/**
+ * Layout groups: items with `group: "g1"` belong to the group "g1", and so does the item
+ * whose `i` is "g1", the group's header, if there is one.
+ * 布局分组：`group: "g1"` 的元素属于分组 "g1"，`i` 为 "g1" 的元素（分组的标题）也属于该分组。
+ * @param  {Array}  layout Layout.
+ * @return {Object}        Ids of the items of each group, header first, by group name.
+ */
+export function getLayoutGroups(layout) {
+  const groups = {};
+  for (let i = 0, len = layout.length; i < len; i++) {
+    const { group } = layout[i];
+    if (group == null) continue;
+    if (!groups[group]) groups[group] = [];
+    groups[group].push(layout[i].i);
+  }
+  Object.keys(groups).forEach(group => {
+    if (groups[group].indexOf(group) === -1 && getLayoutItem(layout, group)) {
+      groups[group].unshift(group);
+    }
+  });
+  return groups;
+}
+
+/**
+ * Run `fn` on the layout with each layout group replaced by one item covering it (see
+ * groupLayoutItems()), then put the groups' items back where their group item went.
+ * Groups with any of the items `keep` in them stay as they are.
+ * 将每个布局分组替换为一个元素后运行 `fn`，然后按分组元素的位置放回分组的元素。
+ * @param  {Array}    layout Layout.
+ * @param  {Array}    keep   Ids of items whose groups aren't replaced.
+ * @param  {Function} fn     Called with the grouped layout, returns a new layout.
+ * @return {Array}           Layout returned by `fn`, with the groups' items back.
+ */
+export function withLayoutGroupsAsItems(layout, keep, fn) {
+  const groups = getLayoutGroups(layout);
+  const replaced = [];
+  let grouped = layout;
+  Object.keys(groups).forEach(name => {
+    const ids = groups[name];
+    if (keep.some(id => ids.indexOf(id) !== -1)) return;
+    const result = groupLayoutItems(grouped, ids, `${GROUP_ITEM_ID}:${name}`);
+    if (!result.group) return;
+    grouped = result.layout;
+    replaced.push(result.group);
+  });
+  if (!replaced.length) return fn(layout);
+
+  let out = fn(grouped);
+  // Last replaced first: its `order` has the items of the groups replaced before it
+  for (let i = replaced.length - 1; i >= 0; i--) {
+    out = ungroupLayoutItems(out, replaced[i]);
+  }
+  return out;
+}
+
+/**
+ * Replace the items `ids` by a single item covering their bounding box, so that a group of
+ * items can go through moveElement() and compact() as if it were one big item. Items in the
+ * way are then pushed away from the whole box, holes included.
+ * 将一组元素替换为覆盖其外接矩形的单个元素，以便整体移动。
+ *
+ * Static items are never part of a group.
+ *
+ * @param  {Array}  layout Full layout.
+ * @param  {Array}  ids    Ids of the items to group.
+ * @param  {String} [id]   Id of the group item.
+ * @return {Object} {layout, group}: the layout with the group item in place of its members
+ *                  (at the position of the first one), and the group, to pass to
+ *                  ungroupLayoutItems().
+ */
+export function groupLayoutItems(layout, ids, id = GROUP_ITEM_ID) {
+  const members = [];
+  let left = Infinity;
+  let top = Infinity;
+  let right = -Infinity;
+  let bottomY = -Infinity;
+  for (let i = 0, len = layout.length; i < len; i++) {
+    const l = layout[i];
+    if (l.static || ids.indexOf(l.i) === -1) continue;
+    members.push(cloneLayoutItem(l));
+    left = Math.min(left, l.x);
+    top = Math.min(top, l.y);
+    right = Math.max(right, l.x + l.w);
+    bottomY = Math.max(bottomY, l.y + l.h);
+  }
+  if (!members.length) return { layout, group: null };
+
+  const item = {
+    i: id,
+    x: left,
+    y: top,
+    w: right - left,
+    h: bottomY - top,
+    moved: false,
+    static: false
+  };
+  const grouped = [];
+  for (let i = 0, len = layout.length; i < len; i++) {
+    const l = layout[i];
+    if (l.static || ids.indexOf(l.i) === -1) grouped.push(l);
+    else if (l.i === members[0].i) grouped.push(item);
+  }
+  return {
+    layout: grouped,
+    group: { item: cloneLayoutItem(item), members, order: layout.map(l => l.i) }
+  };
+}
+
+/**
+ * Undo groupLayoutItems(): put the members back, moved as far as the group item has moved
+ * in `layout`. Items keep the order they had before they were grouped.
+ *
+ * @param  {Array}  layout Layout containing the group item.
+ * @param  {Object} group  Group returned by groupLayoutItems().
+ * @return {Array}         New layout.
+ */
+export function ungroupLayoutItems(layout, group) {
+  const moved = getLayoutItem(layout, group.item.i);
+  const dx = moved ? moved.x - group.item.x : 0;
+  const dy = moved ? moved.y - group.item.y : 0;
+
+  const byId = {};
+  for (let i = 0, len = layout.length; i < len; i++) {
+    if (layout[i].i !== group.item.i) byId[layout[i].i] = layout[i];
+  }
+  for (let i = 0, len = group.members.length; i < len; i++) {
+    const m = cloneLayoutItem(group.members[i]);
+    m.x += dx;
+    m.y += dy;
+    m.moved = dx !== 0 || dy !== 0;
+    byId[m.i] = m;
+  }
+
+  const out = [];
+  for (let i = 0, len = group.order.length; i < len; i++) {
+    const l = byId[group.order[i]];
+    if (l) out.push(l);
+  }
+  return out;
+}
+
+/**
+ * List the operations that turn layout `a` into layout `b`, e.g. to send a local change to
+ * other users editing the same layout. Items are matched by `i`.
+ * 列出将布局 `a` 变为布局 `b` 的操作，例如将本地修改发送给协作的其他用户。
+ *
+ * Operations, in this order:
+ *   {op: "remove", i}
+ *   {op: "add", item}       `item` is a copy of the layout item.
+ *   {op: "move", i, x, y}
+ *   {op: "resize", i, w, h}
+ *
+ * @param  {Array} a Old layout.
+ * @param  {Array} b New layout.
+ * @return {Array}   Operations, empty if the layouts have the same items in the same places.
+ */
+export function diffLayouts(a, b) {
+  const removed = [];
+  const added = [];
+  const changed = [];
+  for (let i = 0, len = a.length; i < len; i++) {
+    if (!getLayoutItem(b, a[i].i)) removed.push({ op: "remove", i: a[i].i });
+  }
+  for (let i = 0, len = b.length; i < len; i++) {
+    const l = b[i];
+    const old = getLayoutItem(a, l.i);
+    if (!old) {
+      added.push({ op: "add", item: cloneLayoutItem(l) });
+      continue;
+    }
+    if (old.x !== l.x || old.y !== l.y) {
+      changed.push({ op: "move", i: l.i, x: l.x, y: l.y });
+    }
+    if (old.w !== l.w || old.h !== l.h) {
+      changed.push({ op: "resize", i: l.i, w: l.w, h: l.h });
+    }
+  }
+  return [...removed, ...added, ...changed];
+}
+
+/**
+ * Apply operations from diffLayouts() to a layout, then correct its bounds and compact it.
+ * Operations carry positions and sizes rather than offsets, so applying the same patch
+ * twice gives the same layout. Moves and resizes of items not in the layout are ignored,
+ * and adding an item that is already there replaces it.
+ * 将 diffLayouts() 的操作应用到布局，然后修正边界并压缩。
+ *
+ * @param  {Array}   layout  Layout. Not modified.
+ * @param  {Array}   ops     Operations.
+ * @param  {Object}  options {cols, compactType, allowOverlap}. `compactType` defaults to
+ *                           "vertical", like the grid's; pass null to not compact.
+ * @return {Array}           New layout.
+ */
+export function applyLayoutPatch(
+  layout,
+  ops,
+  { cols, compactType = "vertical", allowOverlap = false }
+) {
+  let out = cloneLayout(layout);
+  for (let i = 0, len = ops.length; i < len; i++) {
+    const op = ops[i];
+    if (op.op === "add") {
+      const item = cloneLayoutItem(op.item);
+      out = getLayoutItem(out, item.i)
+        ? modifyLayout(out, item)
+        : [...out, item];
+      continue;
+    }
+    if (op.op === "remove") {
+      out = out.filter(l => l.i !== op.i);
+      continue;
+    }
+    const l = getLayoutItem(out, op.i);
+    if (!l) continue;
+    if (op.op === "move") {
+      l.x = op.x;
+      l.y = op.y;
+    } else if (op.op === "resize") {
+      l.w = op.w;
+      l.h = op.h;
+    }
+  }
+  out = correctBounds(out, { cols });
+  return allowOverlap ? out : compact(out, compactType, cols, allowOverlap);
+}
+
 /**
  * Helper to convert a number to a percentage string.
  *
@@ -861,6 +1530,16 @@ export function setTransform({ top, left, width, height }) {
   };
 }
 
+// Grid lines of an item for the CSS Grid renderer; sized by its grid area.
+export function setGridArea({ x, y, w, h }) {
+  return {
+    gridColumn: `${x + 1} / span ${w}`,
+    gridRow: `${y + 1} / span ${h}`,
+    // Containing block for the item's content, as when absolutely positioned
+    position: "relative"
+  };
+}
+
 export function setTopLeft({ top, left, width, height }) {
   return {
     top: `${top}px`,
@@ -928,6 +1607,9 @@ export function sortLayoutItemsByColRow(layout) {
  * @param  {Array}  initialLayout Layout passed in through props.
  * @param  {String} breakpoint    Current responsive breakpoint.
  * @param  {?String} compact      Compaction option.
+ * @param  {Boolean} allowOverlap Don't compact.
+ * @param  {Number}  [maxRows]    See compact().
+ * @param  {Boolean} [growHorizontally] See compact().
  * @return {Array}                Working layout.
  */
 export function synchronizeLayoutWithChildren(
@@ -935,7 +1617,9 @@ export function synchronizeLayoutWithChildren(
   children,
   cols,
   compactType,
-  allowOverlap
+  allowOverlap,
+  maxRows,
+  growHorizontally
 ) {
   initialLayout = initialLayout || [];
 
@@ -976,10 +1660,20 @@ export function synchronizeLayoutWithChildren(
   });
 
   // Correct the layout.
-  const correctedLayout = correctBounds(layout, { cols: cols });
+  const correctedLayout = correctBounds(layout, {
+    cols: cols,
+    growHorizontally: compactType === "horizontal" && growHorizontally
+  });
   return allowOverlap
     ? correctedLayout
-    : compact(correctedLayout, compactType, cols);
+    : compact(
+        correctedLayout,
+        compactType,
+        cols,
+        allowOverlap,
+        maxRows,
+        growHorizontally
+      );
 }
 
 /**
@@ -1014,6 +1708,21 @@ export function validateLayout(
   }
 }
 
+/**
+ * Get the pointer position of a mouse or touch event, in viewport coordinates.
+ * @param  {Event} e Mouse or touch event.
+ * @return {Object|null} {clientX, clientY}, or null if the event has no position.
+ */
+export function getClientPosition(e) {
+  if (!e) return null;
+  const touch =
+    (e.targetTouches && e.targetTouches[0]) ||
+    (e.changedTouches && e.changedTouches[0]);
+  const { clientX, clientY } = touch || e;
+  if (typeof clientX !== "number" || typeof clientY !== "number") return null;
+  return { clientX, clientY };
+}
+
 // Legacy support for verticalCompact: false
 export function compactType(
   props
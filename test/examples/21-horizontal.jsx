@@ -7,12 +7,13 @@ const ReactGridLayout = WidthProvider(RGL);
 export default class Horizontal extends React.PureComponent {
   static defaultProps = {
     className: "layout",
-    items: 5,
-    rowHeight: 5,
+    items: 20,
+    rowHeight: 30,
     onLayoutChange: function() {},
     cols: 12,
     compactType: "horizontal",
     maxRows: 1,
+    growHorizontally: true,
     allowOverlap: false
   };
 
@@ -36,12 +37,11 @@ export default class Horizontal extends React.PureComponent {
   generateLayout() {
     const p = this.props;
     return _.map(new Array(p.items), function(item, i) {
-      const y = 5;
       return {
-        x: (i * 2) % 12,
-        y: Math.floor(i / 6) * y,
+        x: i * 2,
+        y: 0,
         w: 2,
-        h: y,
+        h: 1,
         i: i.toString()
       };
     });
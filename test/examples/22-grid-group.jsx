@@ -0,0 +1,78 @@
+import React from "react";
+import _ from "lodash";
+import RGL, { WidthProvider, GridGroup } from "react-grid-layout";
+
+const ReactGridLayout = WidthProvider(RGL);
+
+export default class GridGroupLayout extends React.PureComponent {
+  static defaultProps = {
+    className: "layout",
+    rowHeight: 30,
+    onLayoutChange: function() {},
+    cols: 4
+  };
+
+  state = {
+    layouts: {
+      todo: generateLayout("todo", 5),
+      doing: generateLayout("doing", 2),
+      done: generateLayout("done", 3)
+    }
+  };
+
+  onLayoutChange(gridId, layout) {
+    this.setState(prevState => ({
+      layouts: { ...prevState.layouts, [gridId]: layout }
+    }));
+    this.props.onLayoutChange(layout);
+  }
+
+  // Both grids already hold their new layouts; children follow from them.
+  onTransfer = ({ from, to, fromLayout, toLayout }) => {
+    this.setState(prevState => ({
+      layouts: { ...prevState.layouts, [from]: fromLayout, [to]: toLayout }
+    }));
+  };
+
+  render() {
+    const { layouts } = this.state;
+    return (
+      <GridGroup onTransfer={this.onTransfer}>
+        <div style={{ display: "flex" }}>
+          {_.map(layouts, (layout, gridId) => (
+            <div key={gridId} style={{ flex: 1, margin: "0 5px" }}>
+              <h3>{gridId}</h3>
+              <ReactGridLayout
+                {...this.props}
+                gridId={gridId}
+                layout={layout}
+                onLayoutChange={this.onLayoutChange.bind(this, gridId)}
+                style={{ minHeight: 200, background: "#eee" }}
+              >
+                {layout.map(l => (
+                  <div key={l.i}>
+                    <span className="text">{l.i}</span>
+                  </div>
+                ))}
+              </ReactGridLayout>
+            </div>
+          ))}
+        </div>
+      </GridGroup>
+    );
+  }
+}
+
+function generateLayout(prefix, count) {
+  return _.map(_.range(count), i => ({
+    i: `${prefix}-${i}`,
+    x: (i * 2) % 4,
+    y: Math.floor(i / 2) * 2,
+    w: 2,
+    h: 2
+  }));
+}
+
+if (process.env.STATIC_EXAMPLES === true) {
+  import("../test-hook.jsx").then(fn => fn.default(GridGroupLayout));
+}
@@ -0,0 +1,80 @@
+import React from "react";
+import RGL, { DraggableSource } from "react-grid-layout";
+
+const TOOLS = [
+  { type: "note", w: 2, h: 2 },
+  { type: "chart", w: 4, h: 3 },
+  { type: "banner", w: 12, h: 1 }
+];
+
+export default class DraggableSourceLayout extends React.PureComponent {
+  static defaultProps = {
+    className: "layout",
+    rowHeight: 30,
+    onLayoutChange: function() {},
+    cols: 12,
+    // WidthProvider doesn't forward refs, and the sources need one to the grid
+    width: 1000
+  };
+
+  gridRef = React.createRef();
+  count = 0;
+
+  state = {
+    layout: [{ i: "note-start", x: 0, y: 0, w: 2, h: 2 }]
+  };
+
+  onLayoutChange = layout => {
+    this.setState({ layout });
+    this.props.onLayoutChange(layout);
+  };
+
+  // The grid has added the item as `droppingItem.i`; give it an id of its own.
+  onDrop = (layout, item, e, source) => {
+    const i = `${source.uniKey}-${this.count++}`;
+    this.setState({
+      layout: layout.map(l => (l === item ? { ...item, i } : l))
+    });
+  };
+
+  render() {
+    return (
+      <div>
+        <div className="toolbox">
+          <span className="toolbox__title">Drag into the grid:</span>
+          <div className="toolbox__items">
+            {TOOLS.map(({ type, w, h }) => (
+              <DraggableSource
+                key={type}
+                grid={this.gridRef}
+                item={{ w, h }}
+                uniKey={type}
+                className="toolbox__items__item"
+              >
+                {type}
+              </DraggableSource>
+            ))}
+          </div>
+        </div>
+        <RGL
+          {...this.props}
+          ref={this.gridRef}
+          layout={this.state.layout}
+          onLayoutChange={this.onLayoutChange}
+          onDrop={this.onDrop}
+          style={{ minHeight: 200, background: "#eee" }}
+        >
+          {this.state.layout.map(l => (
+            <div key={l.i}>
+              <span className="text">{l.i}</span>
+            </div>
+          ))}
+        </RGL>
+      </div>
+    );
+  }
+}
+
+if (process.env.STATIC_EXAMPLES === true) {
+  import("../test-hook.jsx").then(fn => fn.default(DraggableSourceLayout));
+}
@@ -0,0 +1,79 @@
+import React from "react";
+import _ from "lodash";
+import RGL, { WidthProvider } from "react-grid-layout";
+
+const ReactGridLayout = WidthProvider(RGL);
+
+const WORDS =
+  "Lorem ipsum dolor sit amet consectetur adipiscing elit sed do eiusmod tempor incididunt ut labore et dolore magna aliqua".split(
+    " "
+  );
+
+export default class AutoHeightLayout extends React.PureComponent {
+  static defaultProps = {
+    className: "layout",
+    items: 12,
+    rowHeight: 10,
+    onLayoutChange: function() {},
+    cols: 12
+  };
+
+  constructor(props) {
+    super(props);
+
+    this.state = {
+      layout: this.generateLayout(),
+      texts: _.range(props.items).map(() => this.generateText())
+    };
+  }
+
+  generateText() {
+    return _.sampleSize(WORDS, _.random(3, WORDS.length)).join(" ");
+  }
+
+  generateLayout() {
+    return _.range(this.props.items).map(i => ({
+      i: i.toString(),
+      x: (i * 3) % 12,
+      y: 0,
+      w: 3,
+      h: 1,
+      autoHeight: true
+    }));
+  }
+
+  onLayoutChange = layout => {
+    this.setState({ layout });
+    this.props.onLayoutChange(layout);
+  };
+
+  addText = () => {
+    const texts = this.state.texts.slice();
+    const i = _.random(texts.length - 1);
+    texts[i] = texts[i] + " " + this.generateText();
+    this.setState({ texts });
+  };
+
+  render() {
+    return (
+      <div>
+        <button onClick={this.addText}>Add text to an item</button>
+        <ReactGridLayout
+          {...this.props}
+          layout={this.state.layout}
+          onLayoutChange={this.onLayoutChange}
+        >
+          {this.state.texts.map((text, i) => (
+            <div key={i}>
+              <p style={{ margin: 0, padding: 5 }}>{text}</p>
+            </div>
+          ))}
+        </ReactGridLayout>
+      </div>
+    );
+  }
+}
+
+if (process.env.STATIC_EXAMPLES === true) {
+  import("../test-hook.jsx").then(fn => fn.default(AutoHeightLayout));
+}
@@ -0,0 +1,106 @@
+import React from "react";
+import _ from "lodash";
+import RGL, { WidthProvider, GridGroup } from "react-grid-layout";
+
+const ReactGridLayout = WidthProvider(RGL);
+
+const PANELS = ["panel-a", "panel-b"];
+
+export default class NestedGridsLayout extends React.PureComponent {
+  static defaultProps = {
+    className: "layout",
+    rowHeight: 30,
+    onLayoutChange: function() {},
+    cols: 12
+  };
+
+  state = {
+    layouts: {
+      outer: [
+        // Panels are as high as their grids
+        { i: "panel-a", x: 0, y: 0, w: 6, h: 4, autoHeight: true },
+        { i: "panel-b", x: 6, y: 0, w: 6, h: 4, autoHeight: true },
+        ...generateLayout("outer", 4, 12)
+      ],
+      "panel-a": generateLayout("a", 3, 4),
+      "panel-b": generateLayout("b", 2, 4)
+    }
+  };
+
+  onLayoutChange(gridId, layout) {
+    this.setState(prevState => ({
+      layouts: { ...prevState.layouts, [gridId]: layout }
+    }));
+    if (gridId === "outer") this.props.onLayoutChange(layout);
+  }
+
+  // Both grids already hold their new layouts; children follow from them.
+  onTransfer = ({ from, to, fromLayout, toLayout }) => {
+    this.setState(prevState => ({
+      layouts: { ...prevState.layouts, [from]: fromLayout, [to]: toLayout }
+    }));
+  };
+
+  renderPanel(gridId) {
+    const layout = this.state.layouts[gridId];
+    return (
+      <div key={gridId}>
+        <div>
+          <h4 style={{ margin: 0, padding: 5, cursor: "move" }}>{gridId}</h4>
+          <ReactGridLayout
+            gridId={gridId}
+            layout={layout}
+            cols={4}
+            rowHeight={this.props.rowHeight}
+            onLayoutChange={this.onLayoutChange.bind(this, gridId)}
+            style={{ minHeight: 80, background: "#eee" }}
+          >
+            {layout.map(l => (
+              <div key={l.i}>
+                <span className="text">{l.i}</span>
+              </div>
+            ))}
+          </ReactGridLayout>
+        </div>
+      </div>
+    );
+  }
+
+  render() {
+    const { outer } = this.state.layouts;
+    return (
+      <GridGroup onTransfer={this.onTransfer}>
+        <ReactGridLayout
+          {...this.props}
+          gridId="outer"
+          layout={outer}
+          onLayoutChange={this.onLayoutChange.bind(this, "outer")}
+        >
+          {outer.map(l =>
+            PANELS.includes(l.i) ? (
+              this.renderPanel(l.i)
+            ) : (
+              <div key={l.i}>
+                <span className="text">{l.i}</span>
+              </div>
+            )
+          )}
+        </ReactGridLayout>
+      </GridGroup>
+    );
+  }
+}
+
+function generateLayout(prefix, count, cols) {
+  return _.map(_.range(count), i => ({
+    i: `${prefix}-${i}`,
+    x: (i * 2) % cols,
+    y: 4 + Math.floor((i * 2) / cols) * 2,
+    w: 2,
+    h: 2
+  }));
+}
+
+if (process.env.STATIC_EXAMPLES === true) {
+  import("../test-hook.jsx").then(fn => fn.default(NestedGridsLayout));
+}
@@ -0,0 +1,67 @@
+import React from "react";
+import _ from "lodash";
+import RGL, { WidthProvider } from "react-grid-layout";
+
+const ReactGridLayout = WidthProvider(RGL);
+
+const SECTIONS = ["sales", "support"];
+
+export default class LayoutGroupsLayout extends React.PureComponent {
+  static defaultProps = {
+    className: "layout",
+    rowHeight: 30,
+    onLayoutChange: function() {},
+    cols: 12
+  };
+
+  state = {
+    layout: [
+      ...generateSection("sales", 0, 3),
+      ...generateSection("support", 4, 2),
+      { i: "notes", x: 8, y: 4, w: 4, h: 3 }
+    ]
+  };
+
+  onLayoutChange = layout => {
+    this.setState({ layout });
+    this.props.onLayoutChange(layout);
+  };
+
+  render() {
+    return (
+      <ReactGridLayout
+        {...this.props}
+        layout={this.state.layout}
+        onLayoutChange={this.onLayoutChange}
+      >
+        {this.state.layout.map(l => (
+          <div
+            key={l.i}
+            style={SECTIONS.includes(l.i) ? { background: "#ddd" } : null}
+          >
+            <span className="text">{l.i}</span>
+          </div>
+        ))}
+      </ReactGridLayout>
+    );
+  }
+}
+
+// A header the width of the section, and its items under it
+function generateSection(name, y, count) {
+  return [
+    { i: name, x: 0, y, w: count * 2, h: 1 },
+    ..._.range(count).map(i => ({
+      i: `${name}-${i}`,
+      x: i * 2,
+      y: y + 1,
+      w: 2,
+      h: 2,
+      group: name
+    }))
+  ];
+}
+
+if (process.env.STATIC_EXAMPLES === true) {
+  import("../test-hook.jsx").then(fn => fn.default(LayoutGroupsLayout));
+}
@@ -0,0 +1,119 @@
+import React from "react";
+import _ from "lodash";
+import RGL, { utils } from "react-grid-layout";
+
+const USERS = ["alice", "bob"];
+const COLORS = { alice: "crimson", bob: "royalblue" };
+const COLS = 6;
+// Simulated network delay
+const LATENCY = 1000;
+
+export default class CollaborationLayout extends React.PureComponent {
+  static defaultProps = {
+    className: "layout",
+    rowHeight: 30,
+    onLayoutChange: function() {}
+  };
+
+  state = {
+    layouts: { alice: generateLayout(), bob: generateLayout() },
+    // What each user is dragging, as the other user sees it
+    dragging: { alice: null, bob: null }
+  };
+
+  timeouts = [];
+
+  componentWillUnmount() {
+    this.timeouts.forEach(clearTimeout);
+  }
+
+  onLayoutChange(user, layout) {
+    const ops = utils.diffLayouts(this.state.layouts[user], layout);
+    this.setState(prevState => ({
+      layouts: { ...prevState.layouts, [user]: layout }
+    }));
+    if (user === "alice") this.props.onLayoutChange(layout);
+    if (!ops.length) return;
+
+    const other = USERS.find(u => u !== user);
+    this.send(prevState => ({
+      layouts: {
+        ...prevState.layouts,
+        [other]: utils.applyLayoutPatch(prevState.layouts[other], ops, {
+          cols: COLS
+        })
+      }
+    }));
+  }
+
+  onDrag(user, layout, oldItem, item, placeholder) {
+    this.send(prevState => ({
+      dragging: { ...prevState.dragging, [user]: placeholder }
+    }));
+  }
+
+  onDragStop(user) {
+    this.send(prevState => ({
+      dragging: { ...prevState.dragging, [user]: null }
+    }));
+  }
+
+  // Update the state as the other user, after the network delay
+  send(update) {
+    this.timeouts.push(setTimeout(() => this.setState(update), LATENCY));
+  }
+
+  render() {
+    return (
+      <div style={{ display: "flex" }}>
+        {USERS.map(user => {
+          const layout = this.state.layouts[user];
+          const other = USERS.find(u => u !== user);
+          const dragging = this.state.dragging[other];
+          return (
+            <div key={user} style={{ flex: 1, margin: 5 }}>
+              <h4>{user}</h4>
+              <RGL
+                {...this.props}
+                layout={layout}
+                cols={COLS}
+                width={450}
+                onLayoutChange={this.onLayoutChange.bind(this, user)}
+                onDrag={this.onDrag.bind(this, user)}
+                onDragStop={this.onDragStop.bind(this, user)}
+                onResize={this.onDrag.bind(this, user)}
+                onResizeStop={this.onDragStop.bind(this, user)}
+                remotePlaceholders={
+                  dragging
+                    ? [{ ...dragging, label: other, color: COLORS[other] }]
+                    : []
+                }
+                reserveRemotePlaceholders={true}
+              >
+                {layout.map(l => (
+                  <div key={l.i}>
+                    <span className="text">{l.i}</span>
+                  </div>
+                ))}
+              </RGL>
+            </div>
+          );
+        })}
+      </div>
+    );
+  }
+}
+
+function generateLayout() {
+  return _.map(_.range(8), i => ({
+    i: i.toString(),
+    x: (i * 2) % COLS,
+    y: Math.floor((i * 2) / COLS) * 2,
+    w: 2,
+    h: 2
+  }));
+}
+
+if (process.env.STATIC_EXAMPLES === true) {
+  import("../test-hook.jsx").then(fn => fn.default(CollaborationLayout));
+}
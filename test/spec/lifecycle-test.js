@@ -3,16 +3,22 @@
 
 import React from "react";
 import _ from "lodash";
+import ReactDOM from "react-dom";
+import ReactDOMServer from "react-dom/server";
 import TestUtils from "react-dom/test-utils";
 import ReactGridLayout from "../../lib/ReactGridLayout";
 import { calcGridItemPosition } from "../../lib/calculateUtils";
+import { applyLayoutPatch, getLayoutItem } from "../../lib/utils";
 import GridItem from "../../lib/GridItem";
+import GridGroup from "../../lib/GridGroup";
+import DraggableSource from "../../lib/DraggableSource";
 import ResponsiveReactGridLayout from "../../lib/ResponsiveReactGridLayout";
 import BasicLayout from "../examples/1-basic";
 import ShowcaseLayout from "../examples/0-showcase";
 import DroppableLayout from "../examples/15-drag-from-outside";
 import ResizableLayout from "../examples/20-resizable-handles";
 import deepFreeze from "../util/deepFreeze";
+import { DraggableCore } from "react-draggable";
 import { mount } from "enzyme";
 
 describe("Lifecycle tests", function () {
@@ -201,9 +207,97 @@ describe("Lifecycle tests", function () {
         expect(mockOnDrag).toHaveBeenCalledTimes(1);
       });
     });
+
+    describe("autoScrollSpeed", () => {
+      afterEach(() => {
+        jest.useRealTimers();
+      });
+
+      it("Scrolls the container near its edge and keeps the item under the pointer", () => {
+        jest.useFakeTimers();
+        const container = document.createElement("div");
+        container.style.overflowY = "auto";
+        Object.defineProperties(container, {
+          scrollHeight: { value: 2000 },
+          clientHeight: { value: 400 },
+          scrollTop: { value: 0, writable: true },
+          scrollLeft: { value: 0, writable: true }
+        });
+        container.getBoundingClientRect = () => ({
+          left: 0,
+          top: 0,
+          right: 1200,
+          bottom: 400
+        });
+        const instance = mount(
+          <GridItem
+            {...mockProps}
+            w={1}
+            h={1}
+            rowHeight={30}
+            isDraggable={true}
+            onDragStart={() => {}}
+            onDrag={() => {}}
+            onDragStop={() => {}}
+            autoScrollSpeed={20}
+          />
+        ).instance();
+        const node = instance.elementRef.current;
+        Object.defineProperty(node, "offsetParent", { value: container });
+
+        TestUtils.act(() => {
+          instance.onDragStart({}, { node });
+        });
+        TestUtils.act(() => {
+          instance.onDrag(
+            { clientX: 100, clientY: 390 },
+            { node, deltaX: 0, deltaY: 50 }
+          );
+        });
+        expect(instance.state.dragging.top).toBe(50);
+
+        // One frame at 40px into the 50px edge zone
+        TestUtils.act(() => {
+          jest.advanceTimersByTime(16);
+        });
+        expect(container.scrollTop).toBe(16);
+        expect(instance.state.dragging.top).toBe(66);
+
+        // The next move counts the scroll in its delta again
+        TestUtils.act(() => {
+          instance.onDrag(
+            { clientX: 100, clientY: 200 },
+            { node, deltaX: 0, deltaY: 16 + 10 }
+          );
+        });
+        expect(instance.state.dragging.top).toBe(76);
+
+        TestUtils.act(() => {
+          jest.advanceTimersByTime(100);
+          instance.onDragStop({}, { node });
+        });
+        expect(container.scrollTop).toBe(16);
+        expect(instance.autoScroller).toBe(null);
+      });
+    });
   });
 
   describe("<ReactGridLayout>", function () {
+    // One child per layout item, the one of item "a" with the class `item-a`
+    const gridChildren = layout =>
+      layout.map(l => (
+        <div key={l.i} className={`item-${l.i}`}>
+          {l.i}
+        </div>
+      ));
+    // A grid of 12 columns and 1200px, unless `props` say otherwise
+    const gridOf = (layout, props = {}) => (
+      <ReactGridLayout layout={layout} cols={12} width={1200} {...props}>
+        {props.children || gridChildren(layout)}
+      </ReactGridLayout>
+    );
+    const mountGrid = (layout, props) => mount(gridOf(layout, props));
+
     it("Basic Render", async function () {
       const wrapper = mount(<BasicLayout />);
       expect(wrapper).toMatchSnapshot();
@@ -986,6 +1080,1329 @@ describe("Lifecycle tests", function () {
         });
       });
     });
+
+    describe("Horizontal growth", () => {
+      const layout = _.range(6).map(n => ({
+        i: String(n),
+        x: n,
+        y: 0,
+        w: 1,
+        h: 1
+      }));
+      const horizontalProps = {
+        cols: 4,
+        width: 400,
+        rowHeight: 30,
+        compactType: "horizontal",
+        maxRows: 1
+      };
+
+      it("Scrolls to items past the last column", () => {
+        const wrapper = mountGrid(layout, horizontalProps);
+        // No row left to wrap to
+        const layoutState = wrapper.state("layout");
+        expect(layoutState.every(l => l.y === 0)).toBe(true);
+        expect(_.max(layoutState.map(l => l.x))).toBe(5);
+        const container = wrapper.find(".react-grid-layout").first();
+        expect(container.prop("style")).toMatchObject({ overflowX: "auto" });
+        // 6 columns of 87.5px, 5 margins and the padding on both sides
+        expect(
+          wrapper.find(".react-grid-layout-sizer").prop("style").width
+        ).toBe(595);
+      });
+
+      it("Lets items be moved past the last column with growHorizontally", () => {
+        const wrapper = mountGrid(layout, {
+          ...horizontalProps,
+          maxRows: 2,
+          growHorizontally: true
+        });
+        const item = wrapper
+          .find(GridItem)
+          .filterWhere(n => n.prop("i") === "5");
+        expect(item.prop("maxCols")).toBe(Infinity);
+        expect(wrapper.state("layout").every(l => l.y === 0)).toBe(true);
+      });
+
+      it("Is maxRows rows high", () => {
+        const wrapper = mountGrid(layout, { ...horizontalProps, maxRows: 3 });
+        const container = wrapper.find(".react-grid-layout").first();
+        // 3 rows of 30px, 2 margins and the padding on both sides
+        expect(container.prop("style").height).toBe("130px");
+      });
+
+      it("Sizes the container from a fixed colWidth", () => {
+        const wrapper = mountGrid(layout, { ...horizontalProps, colWidth: 50 });
+        // 6 columns of 50px fit in 400px
+        expect(wrapper.find(".react-grid-layout-sizer")).toHaveLength(0);
+        wrapper.setProps({ colWidth: 100 });
+        wrapper.update();
+        // Only 3 fit, the other items go past them
+        expect(
+          wrapper.find(".react-grid-layout-sizer").prop("style").width
+        ).toBe(670);
+        const item = wrapper
+          .find(GridItem)
+          .filterWhere(n => n.prop("i") === "1");
+        expect(item.find(".react-grid-item").prop("style")).toMatchObject({
+          width: "100px",
+          transform: "translate(120px,10px)"
+        });
+      });
+    });
+
+    describe("Variable row heights", () => {
+      it("Sizes the container and items from each row's height", () => {
+        const layout = [
+          { i: "a", x: 0, y: 0, w: 1, h: 1 },
+          { i: "b", x: 0, y: 1, w: 1, h: 2 }
+        ];
+        const wrapper = mount(
+          <ReactGridLayout
+            layout={layout}
+            width={400}
+            rowHeight={[60, 30]}
+            margin={[10, 10]}
+          >
+            <div key="a" />
+            <div key="b" />
+          </ReactGridLayout>
+        );
+        const container = wrapper.find(".react-grid-layout").first();
+        // 60 + 30 + 30, 2 margins and the padding on both sides
+        expect(container.prop("style").height).toBe("160px");
+        const item = wrapper.find(GridItem).last();
+        expect(item.find(".react-grid-item").prop("style")).toMatchObject({
+          height: "70px",
+          transform: expect.stringContaining(",80px)")
+        });
+      });
+    });
+
+    describe("autoHeight", () => {
+      afterEach(() => {
+        jest.useRealTimers();
+      });
+
+      it("Sizes items to their content and calls onLayoutChange once", () => {
+        jest.useFakeTimers();
+        const layout = [
+          { i: "a", x: 0, y: 0, w: 1, h: 1, autoHeight: true },
+          { i: "b", x: 1, y: 0, w: 1, h: 1, autoHeight: true },
+          { i: "c", x: 0, y: 1, w: 2, h: 1 }
+        ];
+        const onLayoutChange = jest.fn();
+        const wrapper = mount(
+          <ReactGridLayout
+            layout={layout}
+            width={1200}
+            rowHeight={30}
+            margin={[10, 10]}
+            onLayoutChange={onLayoutChange}
+          >
+            {layout.map(l => (
+              <div key={l.i}>
+                <p className="content" />
+              </div>
+            ))}
+          </ReactGridLayout>
+        );
+        onLayoutChange.mockClear();
+
+        const resizeContent = (i, height) => {
+          const item = wrapper
+            .find(GridItem)
+            .filterWhere(n => n.prop("i") === i);
+          const content = item.find(".content").getDOMNode();
+          Object.defineProperty(content, "offsetHeight", { value: height });
+          item.instance().onContentResize();
+        };
+        // 3 rows are 110px high
+        resizeContent("a", 100);
+        resizeContent("b", 60);
+        expect(onLayoutChange).not.toHaveBeenCalled();
+
+        jest.advanceTimersByTime(16);
+        expect(onLayoutChange).toHaveBeenCalledTimes(1);
+        const byId = _.keyBy(wrapper.state("layout"), "i");
+        expect(byId.a).toMatchObject({ y: 0, h: 3 });
+        expect(byId.b).toMatchObject({ y: 0, h: 2 });
+        // Pushed down below the taller item
+        expect(byId.c).toMatchObject({ y: 3, h: 1 });
+      });
+    });
+
+    describe("Right to left", () => {
+      it("Mirrors items, resize handles and arrow keys", () => {
+        const layout = [{ i: "a", x: 0, y: 0, w: 1, h: 1 }];
+        const wrapper = mount(
+          <ReactGridLayout
+            layout={layout}
+            cols={12}
+            width={1200}
+            rowHeight={30}
+            direction="rtl"
+            compactType={null}
+            isKeyboardAccessible={true}
+          >
+            <div key="a" className="item-a" />
+          </ReactGridLayout>
+        );
+        expect(
+          wrapper.find(".react-grid-layout").first().getDOMNode().dir
+        ).toBe("rtl");
+        const item = () => wrapper.find("div.item-a");
+        // Padding, then one column of 89.17px, from the right edge
+        expect(item().prop("style").transform).toBe("translate(1101px,10px)");
+        // Anchored at the left edge: dir="rtl" would anchor it at the right one
+        expect(item().prop("style")).toMatchObject({ left: 0, top: 0 });
+        expect(item().find(".react-resizable-handle-sw")).toHaveLength(1);
+        expect(item().find(".react-resizable-handle-se")).toHaveLength(0);
+
+        item().simulate("keydown", { key: "ArrowLeft" });
+        const a = wrapper.state("layout")[0];
+        expect(a).toMatchObject({ x: 1, y: 0 });
+        expect(item().prop("style").transform).toBe("translate(1002px,10px)");
+      });
+    });
+
+    describe("Server rendering", () => {
+      const grid = (
+        <ReactGridLayout
+          layout={[{ i: "a", x: 3, y: 0, w: 2, h: 1 }]}
+          cols={12}
+          width={1280}
+          rowHeight={30}
+        >
+          <div key="a" className="item-a" />
+        </ReactGridLayout>
+      );
+
+      it("Renders percentages that hold at any width", () => {
+        const html = ReactDOMServer.renderToString(grid);
+        expect(html).toContain(
+          "left:calc(25% + 7.5px);width:calc(16.6667% - 11.667px)"
+        );
+        expect(html).not.toContain("translate");
+      });
+
+      it("Switches to transforms when hydrated, without a transition", () => {
+        const container = document.createElement("div");
+        container.innerHTML = ReactDOMServer.renderToString(grid);
+        document.body.appendChild(container);
+        const errorSpy = jest.spyOn(console, "error");
+        try {
+          ReactDOM.hydrate(grid, container);
+          const item = container.querySelector(".item-a");
+          expect(item.style.transform).toBe("translate(328px,10px)");
+          expect(item.style.left).toBe("");
+          expect(item.style.transition).toBe("");
+          // No hydration mismatch warnings
+          expect(
+            errorSpy.mock.calls.filter(([message]) =>
+              /did not match|Expected server HTML/.test(message)
+            )
+          ).toEqual([]);
+        } finally {
+          errorSpy.mockRestore();
+          ReactDOM.unmountComponentAtNode(container);
+          container.remove();
+        }
+      });
+    });
+
+    describe("CSS Grid", () => {
+      it("Places items with grid lines until they are dragged", () => {
+        const wrapper = mount(
+          <ReactGridLayout
+            layout={[{ i: "a", x: 3, y: 1, w: 2, h: 1 }]}
+            cols={12}
+            width={1280}
+            rowHeight={30}
+            compactType={null}
+            useCSSGrid={true}
+          >
+            <div key="a" className="item-a" />
+          </ReactGridLayout>
+        );
+        expect(
+          wrapper.find(".react-grid-layout").first().prop("style")
+        ).toMatchObject({
+          display: "grid",
+          gridTemplateColumns: "repeat(12, calc((100% - 110px) / 12))",
+          gridAutoRows: "30px",
+          padding: "10px 10px"
+        });
+        const item = () => wrapper.find("div.item-a");
+        expect(item().prop("style")).toEqual({
+          gridColumn: "4 / span 2",
+          gridRow: "2 / span 1",
+          position: "relative"
+        });
+        expect(item().hasClass("cssTransforms")).toBe(false);
+
+        const gridItem = wrapper.find(GridItem).instance();
+        const node = gridItem.elementRef.current;
+        const container = wrapper.find(".react-grid-layout").getDOMNode();
+        Object.defineProperty(node, "offsetParent", { value: container });
+        TestUtils.act(() => {
+          gridItem.onDragStart({}, { node });
+        });
+        wrapper.update();
+        // Taken out of the grid while dragged; the placeholder stays in it
+        expect(item().prop("style")).toMatchObject({
+          transform: "translate(0px,0px)",
+          position: "absolute",
+          top: 0,
+          left: 0
+        });
+        expect(item().hasClass("cssTransforms")).toBe(true);
+        expect(
+          wrapper.find("div.react-grid-placeholder").prop("style")
+        ).toMatchObject({ gridColumn: "4 / span 2" });
+      });
+    });
+
+    describe("Fixed colWidth", () => {
+      it("Has as many columns as fit in the width", () => {
+        const layout = [
+          { i: "a", x: 0, y: 0, w: 1, h: 1 },
+          { i: "b", x: 5, y: 0, w: 2, h: 1 }
+        ];
+        const wrapper = mount(
+          <ReactGridLayout
+            layout={layout}
+            cols={12}
+            colWidth={100}
+            width={400}
+            rowHeight={30}
+          >
+            <div key="a" />
+            <div key="b" />
+          </ReactGridLayout>
+        );
+        expect(wrapper.find(GridItem).first().prop("cols")).toBe(3);
+        const b = wrapper.state("layout").find(l => l.i === "b");
+        expect(b).toMatchObject({ x: 1, y: 0 });
+
+        // Columns keep their width when the grid gets wider
+        wrapper.setProps({ width: 800 });
+        wrapper.update();
+        expect(wrapper.find(GridItem).first().prop("cols")).toBe(7);
+        const item = wrapper.find(GridItem).last();
+        expect(item.find(".react-grid-item").prop("style")).toMatchObject({
+          width: "210px"
+        });
+      });
+    });
+
+    describe("dragMode=swap", () => {
+      const layout = [
+        { x: 0, y: 0, w: 2, h: 2, i: "a" },
+        { x: 2, y: 0, w: 2, h: 2, i: "b" },
+        { x: 4, y: 0, w: 2, h: 2, i: "c" }
+      ];
+      const swapProps = { dragMode: "swap" };
+      const dragEvent = { e: {}, node: document.createElement("div") };
+
+      it("Swaps with the item it is dropped onto", () => {
+        const onDragStop = jest.fn();
+        const wrapper = mountGrid(layout, { ...swapProps, onDragStop });
+        const instance = wrapper.instance();
+
+        instance.onDragStart("a", 0, 0, dragEvent);
+        instance.onDrag("a", 4, 0, dragEvent);
+        instance.onDragStop("a", 4, 0, dragEvent);
+
+        const byId = _.keyBy(wrapper.state().layout, "i");
+        expect(byId.a).toMatchObject({ x: 4, y: 0 });
+        expect(byId.b).toMatchObject({ x: 2, y: 0 });
+        expect(byId.c).toMatchObject({ x: 0, y: 0 });
+        expect(onDragStop.mock.calls[0][6]).toMatchObject({ i: "c" });
+      });
+
+      it("Puts the previous swap back when dragging on", () => {
+        const onDragStop = jest.fn();
+        const wrapper = mountGrid(layout, { ...swapProps, onDragStop });
+        const instance = wrapper.instance();
+
+        instance.onDragStart("a", 0, 0, dragEvent);
+        instance.onDrag("a", 4, 0, dragEvent);
+        instance.onDrag("a", 2, 0, dragEvent);
+        instance.onDragStop("a", 2, 0, dragEvent);
+
+        const byId = _.keyBy(wrapper.state().layout, "i");
+        expect(byId.a).toMatchObject({ x: 2, y: 0 });
+        expect(byId.b).toMatchObject({ x: 0, y: 0 });
+        expect(byId.c).toMatchObject({ x: 4, y: 0 });
+        expect(onDragStop.mock.calls[0][6]).toMatchObject({ i: "b" });
+      });
+
+      it("Moves as usual when not mostly over another item", () => {
+        const onDragStop = jest.fn();
+        const wrapper = mountGrid(layout, { ...swapProps, onDragStop });
+        const instance = wrapper.instance();
+
+        instance.onDragStart("a", 0, 0, dragEvent);
+        instance.onDragStop("a", 7, 0, dragEvent);
+
+        const byId = _.keyBy(wrapper.state().layout, "i");
+        expect(byId.a).toMatchObject({ x: 7, y: 0 });
+        expect(byId.c).toMatchObject({ x: 4, y: 0 });
+        expect(onDragStop.mock.calls[0][6]).toBe(null);
+      });
+    });
+
+    describe("History", () => {
+      const layout = [
+        { x: 0, y: 0, w: 2, h: 2, i: "a" },
+        { x: 2, y: 0, w: 2, h: 2, i: "b" }
+      ];
+      const historyProps = { compactType: null };
+      const dragEvent = { e: {}, node: document.createElement("div") };
+      const drag = (instance, i, x, y) => {
+        instance.onDragStart(i, 0, 0, dragEvent);
+        instance.onDrag(i, x, y, dragEvent);
+        instance.onDragStop(i, x, y, dragEvent);
+      };
+      const position = (wrapper, i) =>
+        _.pick(_.find(wrapper.state().layout, { i }), ["x", "y", "w", "h"]);
+
+      it("Undoes and redoes drags and resizes", () => {
+        const onLayoutChange = jest.fn();
+        const wrapper = mountGrid(layout, { ...historyProps, onLayoutChange });
+        const instance = wrapper.instance();
+        onLayoutChange.mockClear();
+
+        drag(instance, "a", 6, 3);
+        instance.onResizeStart("b", 2, 2, dragEvent);
+        instance.onResize("b", 4, 3, { ...dragEvent, handle: "se" });
+        instance.onResizeStop("b", 4, 3, dragEvent);
+        expect(instance.canUndo()).toBe(true);
+
+        expect(instance.undo()).toBe(true);
+        expect(position(wrapper, "b")).toEqual({ x: 2, y: 0, w: 2, h: 2 });
+        expect(position(wrapper, "a")).toEqual({ x: 6, y: 3, w: 2, h: 2 });
+
+        expect(instance.undo()).toBe(true);
+        expect(position(wrapper, "a")).toEqual({ x: 0, y: 0, w: 2, h: 2 });
+        expect(instance.undo()).toBe(false);
+        expect(instance.canRedo()).toBe(true);
+
+        expect(instance.redo()).toBe(true);
+        expect(instance.redo()).toBe(true);
+        expect(position(wrapper, "a")).toEqual({ x: 6, y: 3, w: 2, h: 2 });
+        expect(position(wrapper, "b")).toEqual({ x: 2, y: 0, w: 4, h: 3 });
+        expect(instance.redo()).toBe(false);
+
+        // 2 changes, 2 undos, 2 redos
+        expect(onLayoutChange).toHaveBeenCalledTimes(6);
+        expect(
+          _.find(onLayoutChange.mock.calls[5][0], { i: "b" })
+        ).toMatchObject({ w: 4, h: 3 });
+      });
+
+      it("Tidies up with tidyUp(), which can be undone", () => {
+        const onLayoutChange = jest.fn();
+        const wrapper = mountGrid(layout, { ...historyProps, onLayoutChange });
+        const instance = wrapper.instance();
+        drag(instance, "a", 6, 3);
+        onLayoutChange.mockClear();
+
+        expect(instance.tidyUp("skyline")).toBe(true);
+        expect(position(wrapper, "a")).toEqual({ x: 0, y: 0, w: 2, h: 2 });
+        expect(position(wrapper, "b")).toEqual({ x: 2, y: 0, w: 2, h: 2 });
+        expect(onLayoutChange).toHaveBeenCalledTimes(1);
+
+        expect(instance.undo()).toBe(true);
+        expect(position(wrapper, "a")).toEqual({ x: 6, y: 3, w: 2, h: 2 });
+      });
+
+      it("Keeps the packed layout of tidyUp() as it is", () => {
+        const widgets = [
+          { x: 0, y: 0, w: 2, h: 1, i: "a" },
+          { x: 0, y: 1, w: 3, h: 2, i: "b" },
+          { x: 0, y: 3, w: 1, h: 1, i: "c" }
+        ];
+        const tidied = strategy => {
+          const wrapper = mountGrid(widgets, {
+            cols: 4,
+            compactType: "horizontal"
+          });
+          wrapper.instance().tidyUp(strategy);
+          return position(wrapper, "c");
+        };
+
+        // "skyline" leaves the gap under the end of b, even with compactType
+        expect(tidied("skyline")).toEqual({ x: 3, y: 0, w: 1, h: 1 });
+        expect(tidied()).toEqual({ x: 2, y: 0, w: 1, h: 1 });
+      });
+
+      it("Drops the redo stack on a new change", () => {
+        const wrapper = mountGrid(layout, historyProps);
+        const instance = wrapper.instance();
+
+        drag(instance, "a", 6, 3);
+        instance.undo();
+        drag(instance, "b", 8, 0);
+        expect(instance.canRedo()).toBe(false);
+        instance.undo();
+        expect(position(wrapper, "b")).toEqual({ x: 2, y: 0, w: 2, h: 2 });
+        expect(position(wrapper, "a")).toEqual({ x: 0, y: 0, w: 2, h: 2 });
+      });
+
+      it("Keeps at most historyLimit entries", () => {
+        const wrapper = mountGrid(layout, { ...historyProps, historyLimit: 2 });
+        const instance = wrapper.instance();
+
+        drag(instance, "a", 4, 0);
+        drag(instance, "a", 6, 0);
+        drag(instance, "a", 8, 0);
+        expect(instance.undo()).toBe(true);
+        expect(instance.undo()).toBe(true);
+        expect(instance.undo()).toBe(false);
+        expect(position(wrapper, "a")).toEqual({ x: 4, y: 0, w: 2, h: 2 });
+      });
+
+      it("Does not record anything with historyLimit=0", () => {
+        const wrapper = mountGrid(layout, { ...historyProps, historyLimit: 0 });
+        const instance = wrapper.instance();
+
+        drag(instance, "a", 4, 0);
+        expect(instance.canUndo()).toBe(false);
+        expect(instance.undo()).toBe(false);
+      });
+
+      it("Binds Ctrl+Z and Ctrl+Shift+Z with undoKeyBindings", () => {
+        const wrapper = mountGrid(layout, {
+          ...historyProps,
+          undoKeyBindings: true
+        });
+        const instance = wrapper.instance();
+        const press = (init, target = document) => {
+          const event = new KeyboardEvent("keydown", {
+            key: "z",
+            bubbles: true,
+            cancelable: true,
+            ...init
+          });
+          target.dispatchEvent(event);
+          return event;
+        };
+
+        drag(instance, "a", 6, 3);
+        expect(press({ ctrlKey: true }).defaultPrevented).toBe(true);
+        expect(position(wrapper, "a")).toEqual({ x: 0, y: 0, w: 2, h: 2 });
+        press({ metaKey: true, shiftKey: true, key: "Z" });
+        expect(position(wrapper, "a")).toEqual({ x: 6, y: 3, w: 2, h: 2 });
+
+        // Text fields keep their own undo
+        const input = document.createElement("input");
+        document.body.appendChild(input);
+        expect(press({ ctrlKey: true }, input).defaultPrevented).toBe(false);
+        expect(position(wrapper, "a")).toEqual({ x: 6, y: 3, w: 2, h: 2 });
+        document.body.removeChild(input);
+
+        wrapper.unmount();
+        expect(press({ ctrlKey: true }).defaultPrevented).toBe(false);
+      });
+    });
+
+    describe("Keyboard", () => {
+      const layout = [
+        { x: 0, y: 0, w: 2, h: 2, i: "a" },
+        { x: 2, y: 0, w: 2, h: 2, i: "b" },
+        { x: 4, y: 0, w: 2, h: 2, i: "pinned", static: true }
+      ];
+      const keyboardProps = { compactType: null, isKeyboardAccessible: true };
+      const press = (wrapper, i, key, init) =>
+        wrapper.find(`div.item-${i}`).simulate("keydown", { key, ...init });
+      const position = (wrapper, i) =>
+        _.pick(_.find(wrapper.state().layout, { i }), ["x", "y", "w", "h"]);
+
+      it("Makes movable items focusable and describes them", () => {
+        const wrapper = mountGrid(layout, keyboardProps);
+        const item = wrapper.find("div.item-a").getDOMNode();
+        expect(item.getAttribute("tabindex")).toBe("0");
+        expect(item.getAttribute("role")).toBe("group");
+        expect(item.getAttribute("aria-keyshortcuts")).toContain(
+          "Shift+ArrowDown"
+        );
+        const pinned = wrapper.find("div.item-pinned").getDOMNode();
+        expect(pinned.hasAttribute("tabindex")).toBe(false);
+        expect(
+          wrapper.find(".react-grid-layout-announcer").prop("aria-live")
+        ).toBe("polite");
+      });
+
+      it("Is off by default", () => {
+        const wrapper = mountGrid(layout, {
+          ...keyboardProps,
+          isKeyboardAccessible: false
+        });
+        const item = wrapper.find("div.item-a").getDOMNode();
+        expect(item.hasAttribute("tabindex")).toBe(false);
+        expect(wrapper.find(".react-grid-layout-announcer")).toHaveLength(0);
+        press(wrapper, "a", "ArrowDown");
+        expect(position(wrapper, "a")).toEqual({ x: 0, y: 0, w: 2, h: 2 });
+      });
+
+      it("Moves with arrow keys and commits on Enter", () => {
+        const onDragStart = jest.fn();
+        const onDragStop = jest.fn();
+        const onLayoutChange = jest.fn();
+        const wrapper = mountGrid(layout, {
+          ...keyboardProps,
+          onDragStart,
+          onDragStop,
+          onLayoutChange
+        });
+        onLayoutChange.mockClear();
+
+        press(wrapper, "a", "ArrowDown");
+        press(wrapper, "a", "ArrowDown");
+        // Pushes b out of the way through moveElement
+        press(wrapper, "a", "ArrowRight");
+        expect(onDragStart).toHaveBeenCalledTimes(1);
+        expect(onDragStop).not.toHaveBeenCalled();
+        expect(position(wrapper, "a")).toEqual({ x: 1, y: 2, w: 2, h: 2 });
+        expect(wrapper.find(".react-grid-layout-announcer").text()).toBe(
+          "Moved a to x 1, y 2, w 2, h 2."
+        );
+
+        press(wrapper, "a", "Enter");
+        expect(onDragStop).toHaveBeenCalledTimes(1);
+        expect(onDragStop.mock.calls[0][2]).toMatchObject({ x: 1, y: 2 });
+        expect(onLayoutChange).toHaveBeenCalled();
+        expect(wrapper.state().activeDrag).toBe(null);
+      });
+
+      it("Resizes with Shift+arrow keys within min/max and the grid", () => {
+        const wrapper = mountGrid(layout, {
+          ...keyboardProps,
+          compactType: "vertical"
+        });
+
+        press(wrapper, "b", "ArrowDown", { shiftKey: true });
+        press(wrapper, "b", "ArrowLeft", { shiftKey: true });
+        expect(position(wrapper, "b")).toEqual({ x: 2, y: 0, w: 1, h: 3 });
+        expect(wrapper.find(".react-grid-layout-announcer").text()).toBe(
+          "Resized b to x 2, y 0, w 1, h 3."
+        );
+        press(wrapper, "b", "Enter");
+
+        press(wrapper, "a", "ArrowLeft", { shiftKey: true });
+        press(wrapper, "a", "ArrowLeft", { shiftKey: true });
+        expect(position(wrapper, "a")).toEqual({ x: 0, y: 0, w: 1, h: 2 });
+      });
+
+      it("Keeps an item's aspectRatio when resizing", () => {
+        const wrapper = mountGrid(layout, {
+          ...keyboardProps,
+          compactType: "vertical",
+          layout: [
+            { ...layout[0], h: 1, aspectRatio: 2, aspectRatioUnits: "grid" },
+            ...layout.slice(1)
+          ]
+        });
+
+        press(wrapper, "a", "ArrowRight", { shiftKey: true });
+        expect(position(wrapper, "a")).toEqual({ x: 0, y: 0, w: 3, h: 2 });
+        press(wrapper, "a", "ArrowRight", { shiftKey: true });
+        expect(position(wrapper, "a")).toEqual({ x: 0, y: 0, w: 4, h: 2 });
+        // b made way
+        expect(position(wrapper, "b")).toEqual({ x: 2, y: 2, w: 2, h: 2 });
+      });
+
+      it("Cancels back to the layout before the first key press on Escape", () => {
+        const onDragStop = jest.fn();
+        const wrapper = mountGrid(layout, { ...keyboardProps, onDragStop });
+
+        press(wrapper, "a", "ArrowDown");
+        press(wrapper, "a", "ArrowRight");
+        press(wrapper, "a", "Escape");
+        expect(position(wrapper, "a")).toEqual({ x: 0, y: 0, w: 2, h: 2 });
+        expect(position(wrapper, "b")).toEqual({ x: 2, y: 0, w: 2, h: 2 });
+        expect(wrapper.state().activeDrag).toBe(null);
+        expect(onDragStop).toHaveBeenCalledTimes(1);
+        expect(wrapper.find(".react-grid-layout-announcer").text()).toBe(
+          "Cancelled. a is back at x 0, y 0, w 2, h 2."
+        );
+      });
+
+      it("Commits when the item loses focus", () => {
+        const onDragStop = jest.fn();
+        const wrapper = mountGrid(layout, { ...keyboardProps, onDragStop });
+
+        press(wrapper, "a", "ArrowDown");
+        wrapper.find("div.item-a").simulate("blur");
+        expect(onDragStop).toHaveBeenCalledTimes(1);
+        expect(position(wrapper, "a")).toEqual({ x: 0, y: 1, w: 2, h: 2 });
+      });
+
+      it("Ignores keys pressed inside the item's content", () => {
+        const wrapper = mount(
+          <ReactGridLayout
+            layout={layout}
+            cols={12}
+            width={1200}
+            isKeyboardAccessible={true}
+          >
+            <div key="a">
+              <input className="field" />
+            </div>
+          </ReactGridLayout>
+        );
+        wrapper.find("input.field").simulate("keydown", { key: "ArrowDown" });
+        expect(wrapper.state().activeDrag).toBe(null);
+      });
+
+      it("Uses keyboardAnnouncement for the live region", () => {
+        const wrapper = mountGrid(layout, {
+          ...keyboardProps,
+          keyboardAnnouncement: (action, l) => `${action}:${l.i}:${l.x}`
+        });
+        press(wrapper, "a", "ArrowRight");
+        expect(wrapper.find(".react-grid-layout-announcer").text()).toBe(
+          "move:a:1"
+        );
+      });
+    });
+
+    describe("GridGroup", () => {
+      const layoutA = [
+        { x: 0, y: 0, w: 2, h: 2, i: "a1" },
+        { x: 2, y: 0, w: 2, h: 2, i: "a2" }
+      ];
+      const layoutB = [{ x: 0, y: 0, w: 2, h: 2, i: "b1" }];
+      const gridProps = {
+        cols: 6,
+        width: 600,
+        rowHeight: 30,
+        margin: [0, 0],
+        containerPadding: [0, 0]
+      };
+      // eslint-disable-next-line react/prop-types
+      const TwoGrids = ({ onTransfer }) => (
+        <GridGroup onTransfer={onTransfer}>
+          <ReactGridLayout gridId="A" layout={layoutA} {...gridProps}>
+            {layoutA.map(l => (
+              <div key={l.i}>{l.i}</div>
+            ))}
+          </ReactGridLayout>
+          <ReactGridLayout gridId="B" layout={layoutB} {...gridProps}>
+            {layoutB.map(l => (
+              <div key={l.i}>{l.i}</div>
+            ))}
+          </ReactGridLayout>
+        </GridGroup>
+      );
+      const mountGroup = onTransfer => {
+        const wrapper = mount(<TwoGrids onTransfer={onTransfer} />);
+        const grids = wrapper.find(ReactGridLayout);
+        const [a, b] = [grids.at(0).instance(), grids.at(1).instance()];
+        // Side by side, B starting 1000px to the right of A
+        const rect = left => () => ({
+          left,
+          top: 0,
+          right: left + 600,
+          bottom: 600,
+          width: 600,
+          height: 600
+        });
+        a.containerNode.getBoundingClientRect = rect(0);
+        b.containerNode.getBoundingClientRect = rect(1000);
+        return { wrapper, a, b };
+      };
+      const node = document.createElement("div");
+      const dragTo = (grid, left, top) =>
+        grid.onDrag("a1", 0, 0, {
+          e: { clientX: left + 50, clientY: top + 10 },
+          node,
+          newPosition: { left, top }
+        });
+      const position = (grid, i) =>
+        _.pick(_.find(grid.state.layout, { i }), ["x", "y", "w", "h"]);
+
+      it("Shows the placeholder in the grid the item is dragged over", () => {
+        const { a, b } = mountGroup();
+
+        a.onDragStart("a1", 0, 0, { e: {}, node });
+        dragTo(a, 1200, 0);
+        expect(b.state.activeDrag).toMatchObject({ i: "a1", x: 2, y: 0 });
+        expect(position(b, "a1")).toEqual({ x: 2, y: 0, w: 2, h: 2 });
+        // A keeps the item's place, without a placeholder
+        expect(position(a, "a1")).toEqual({ x: 0, y: 0, w: 2, h: 2 });
+        expect(a.placeholder()).toBe(null);
+
+        dragTo(a, 1000, 0);
+        expect(position(b, "a1")).toEqual({ x: 0, y: 0, w: 2, h: 2 });
+        expect(position(b, "b1")).toEqual({ x: 0, y: 2, w: 2, h: 2 });
+
+        // Back over A: B puts everything back
+        dragTo(a, 300, 0);
+        expect(b.state.activeDrag).toBe(null);
+        expect(b.state.layout.map(l => l.i)).toEqual(["b1"]);
+        expect(position(b, "b1")).toEqual({ x: 0, y: 0, w: 2, h: 2 });
+        expect(a.state.activeDrag).toMatchObject({ i: "a1" });
+      });
+
+      it("Moves the item to the grid it is dropped on", () => {
+        const onTransfer = jest.fn();
+        const { a, b } = mountGroup(onTransfer);
+
+        a.onDragStart("a1", 0, 0, { e: {}, node });
+        dragTo(a, 1000, 0);
+        a.onDragStop("a1", 0, 0, { e: {}, node });
+
+        expect(a.state.layout.map(l => l.i)).toEqual(["a2"]);
+        expect(a.state.activeDrag).toBe(null);
+        expect(b.state.activeDrag).toBe(null);
+        expect(position(b, "a1")).toEqual({ x: 0, y: 0, w: 2, h: 2 });
+        expect(position(b, "b1")).toEqual({ x: 0, y: 2, w: 2, h: 2 });
+
+        expect(onTransfer).toHaveBeenCalledTimes(1);
+        const { item, from, to, fromLayout, toLayout } =
+          onTransfer.mock.calls[0][0];
+        expect(item).toMatchObject({ i: "a1", w: 2, h: 2 });
+        expect(from).toBe("A");
+        expect(to).toBe("B");
+        expect(fromLayout).toBe(a.state.layout);
+        expect(toLayout).toBe(b.state.layout);
+      });
+
+      it("Does not take an item whose id it already has", () => {
+        const { a, b } = mountGroup();
+        b.setState({
+          layout: [...b.state.layout, { x: 4, y: 0, w: 1, h: 1, i: "a1" }]
+        });
+
+        a.onDragStart("a1", 0, 0, { e: {}, node });
+        dragTo(a, 1000, 0);
+        expect(b.state.activeDrag).toBe(null);
+        expect(a.transferTarget).toBe(null);
+      });
+    });
+
+    describe("Layout groups", () => {
+      const layout = [
+        { x: 0, y: 0, w: 4, h: 1, i: "g1" },
+        { x: 0, y: 1, w: 2, h: 2, i: "a", group: "g1" },
+        { x: 2, y: 1, w: 2, h: 1, i: "b", group: "g1" },
+        { x: 4, y: 0, w: 2, h: 2, i: "c" }
+      ];
+      const node = document.createElement("div");
+      const groupProps = { cols: 6, width: 600, rowHeight: 30 };
+      const positions = instance =>
+        _.mapValues(_.keyBy(instance.state.layout, "i"), l =>
+          _.pick(l, ["x", "y"])
+        );
+
+      it("Drags the whole group by its header", () => {
+        const instance = mountGrid(layout, groupProps).instance();
+
+        instance.onDragStart("g1", 0, 0, { e: {}, node });
+        instance.onDrag("g1", 2, 0, { e: {}, node });
+        expect(instance.placeholder().map(p => p.props.i)).toEqual([
+          "g1",
+          "a",
+          "b"
+        ]);
+        instance.onDragStop("g1", 2, 0, { e: {}, node });
+        expect(positions(instance)).toEqual({
+          g1: { x: 2, y: 0 },
+          a: { x: 2, y: 1 },
+          b: { x: 4, y: 1 },
+          // Pushed below the whole group
+          c: { x: 4, y: 3 }
+        });
+      });
+
+      it("Pushes a group out of the way as a whole", () => {
+        const instance = mountGrid(layout, groupProps).instance();
+
+        instance.onDragStart("c", 4, 0, { e: {}, node });
+        instance.onDragStop("c", 2, 0, { e: {}, node });
+        expect(positions(instance)).toEqual({
+          c: { x: 2, y: 0 },
+          g1: { x: 0, y: 2 },
+          a: { x: 0, y: 3 },
+          b: { x: 2, y: 3 }
+        });
+      });
+
+      it("Moves other items on their own", () => {
+        const instance = mountGrid(layout, groupProps).instance();
+
+        instance.onDragStart("b", 2, 1, { e: {}, node });
+        instance.onDragStop("b", 4, 3, { e: {}, node });
+        expect(positions(instance)).toMatchObject({
+          g1: { x: 0, y: 0 },
+          a: { x: 0, y: 1 },
+          b: { x: 4, y: 3 }
+        });
+      });
+    });
+
+    describe("Layout prop changes during a drag", () => {
+      const layout = [
+        { x: 0, y: 0, w: 2, h: 2, i: "a" },
+        { x: 2, y: 0, w: 2, h: 2, i: "b" },
+        { x: 4, y: 0, w: 2, h: 2, i: "c" }
+      ];
+      const node = document.createElement("div");
+      // Another user's patch, with the children that go with it
+      const patchProps = ops => {
+        const patched = applyLayoutPatch(layout, ops, { cols: 6 });
+        return { layout: patched, children: gridChildren(patched) };
+      };
+      const layoutProps = { cols: 6, width: 600, rowHeight: 30 };
+      const positions = wrapper =>
+        wrapper.state("layout").map(l => [l.i, l.x, l.y]);
+
+      it("Applies the layout prop and the drag on top when the drag stops", () => {
+        const onLayoutChange = jest.fn();
+        const wrapper = mountGrid(layout, { ...layoutProps, onLayoutChange });
+        const instance = wrapper.instance();
+
+        instance.onDragStart("a", 0, 0, { e: {}, node });
+        // A patch from another user: c is removed and b moved to its place
+        wrapper.setProps(
+          patchProps([
+            { op: "remove", i: "c" },
+            { op: "move", i: "b", x: 4, y: 0 }
+          ])
+        );
+        expect(positions(wrapper)).toEqual([
+          ["a", 0, 0],
+          ["b", 2, 0],
+          ["c", 4, 0]
+        ]);
+
+        instance.onDrag("a", 2, 0, { e: {}, node });
+        instance.onDragStop("a", 2, 0, { e: {}, node });
+        wrapper.update();
+        expect(positions(wrapper)).toEqual([
+          ["a", 2, 0],
+          ["b", 4, 0]
+        ]);
+        expect(onLayoutChange).toHaveBeenLastCalledWith(
+          wrapper.state("layout")
+        );
+      });
+
+      it("Keeps a swap when the layout prop changes during the drag", () => {
+        const wrapper = mountGrid(layout, layoutProps);
+        wrapper.setProps({ dragMode: "swap" });
+        const instance = wrapper.instance();
+
+        instance.onDragStart("a", 0, 0, { e: {}, node });
+        wrapper.setProps(patchProps([{ op: "remove", i: "b" }]));
+        instance.onDrag("a", 4, 0, { e: {}, node });
+        instance.onDragStop("a", 4, 0, { e: {}, node });
+        wrapper.update();
+        expect(positions(wrapper)).toEqual([
+          ["a", 4, 0],
+          ["c", 0, 0]
+        ]);
+      });
+
+      it("Passes null to the stop callbacks when the item was removed meanwhile", () => {
+        const onDragStop = jest.fn();
+        const onResizeStop = jest.fn();
+        const wrapper = mountGrid(layout, layoutProps);
+        wrapper.setProps({ onDragStop, onResizeStop });
+        const instance = wrapper.instance();
+
+        instance.onDragStart("a", 0, 0, { e: {}, node });
+        instance.onDrag("a", 0, 2, { e: {}, node });
+        wrapper.setProps(patchProps([{ op: "remove", i: "a" }]));
+        instance.onDragStop("a", 0, 2, { e: {}, node });
+        expect(onDragStop.mock.calls[0][2]).toBe(null);
+        expect(_.map(onDragStop.mock.calls[0][0], "i")).toEqual(["b", "c"]);
+
+        instance.onResizeStart("b", 2, 2, { e: {}, node });
+        instance.onResize("b", 3, 2, { e: {}, node, handle: "se" });
+        wrapper.setProps(
+          patchProps([
+            { op: "remove", i: "a" },
+            { op: "remove", i: "b" }
+          ])
+        );
+        instance.onResizeStop("b", 3, 2, { e: {}, node });
+        expect(onResizeStop.mock.calls[0][2]).toBe(null);
+        wrapper.update();
+        expect(positions(wrapper)).toEqual([["c", 4, 0]]);
+      });
+
+      it("Keeps the layout prop when a keyboard drag is cancelled", () => {
+        const wrapper = mountGrid(layout, layoutProps);
+        const instance = wrapper.instance();
+
+        instance.onDragStart("a", 0, 0, { e: {}, node, keyboard: true });
+        instance.onDrag("a", 0, 2, { e: {}, node, keyboard: true });
+        wrapper.setProps(patchProps([{ op: "remove", i: "b" }]));
+        instance.onKeyboardCancel("a", { e: {}, node });
+        wrapper.update();
+        expect(positions(wrapper)).toEqual([
+          ["a", 0, 0],
+          ["c", 4, 0]
+        ]);
+      });
+    });
+
+    describe("Remote placeholders", () => {
+      const layout = [
+        { x: 0, y: 0, w: 2, h: 2, i: "a" },
+        { x: 2, y: 0, w: 2, h: 2, i: "b" },
+        { x: 0, y: 2, w: 2, h: 2, i: "c" }
+      ];
+      // Another user is dragging b to the left of c
+      const remotePlaceholders = [
+        { i: "b", x: 2, y: 2, w: 2, h: 2, label: "Ann", color: "blue" }
+      ];
+      const node = document.createElement("div");
+      const remoteProps = {
+        cols: 6,
+        width: 600,
+        rowHeight: 30,
+        remotePlaceholders
+      };
+
+      it("Renders them in the user's color, with their label", () => {
+        const wrapper = mountGrid(layout, remoteProps);
+        const ghost = wrapper.find("div.react-grid-remote-placeholder");
+        expect(ghost).toHaveLength(1);
+        expect(ghost.hasClass("react-grid-placeholder")).toBe(true);
+        expect(ghost.prop("style").color).toBe("blue");
+        expect(ghost.text()).toBe("Ann");
+        expect(wrapper.find(GridItem).at(3).props()).toMatchObject({
+          x: 2,
+          y: 2,
+          isDraggable: false
+        });
+      });
+
+      it("Keeps local drags out of the space with reserveRemotePlaceholders", () => {
+        const wrapper = mountGrid(layout, {
+          ...remoteProps,
+          reserveRemotePlaceholders: true
+        });
+        const instance = wrapper.instance();
+        const positions = () => instance.state.layout.map(l => [l.i, l.x, l.y]);
+
+        instance.onDragStart("a", 0, 0, { e: {}, node });
+        instance.onDrag("a", 2, 2, { e: {}, node });
+        expect(positions()).toEqual([
+          // Pushed below the remote placeholder
+          ["a", 2, 4],
+          // Being dragged by the other user, so it doesn't move
+          ["b", 2, 0],
+          ["c", 0, 0]
+        ]);
+        instance.onDragStop("a", 2, 2, { e: {}, node });
+        expect(positions()).toEqual([
+          ["a", 2, 4],
+          ["b", 2, 0],
+          ["c", 0, 0]
+        ]);
+        expect(instance.state.layout.every(l => !l.static)).toBe(true);
+      });
+
+      it("Doesn't reserve the space by default", () => {
+        const instance = mountGrid(layout, remoteProps).instance();
+
+        instance.onDragStart("a", 0, 0, { e: {}, node });
+        instance.onDragStop("a", 2, 2, { e: {}, node });
+        expect(getLayoutItem(instance.state.layout, "a")).toMatchObject({
+          x: 2,
+          y: 2
+        });
+      });
+    });
+
+    describe("Nested grids", () => {
+      const outerLayout = [
+        { x: 0, y: 0, w: 3, h: 4, i: "panel", autoHeight: true },
+        { x: 3, y: 0, w: 2, h: 2, i: "o1" }
+      ];
+      const innerLayout = [
+        { x: 0, y: 0, w: 1, h: 2, i: "n1" },
+        { x: 1, y: 0, w: 1, h: 1, i: "n2" }
+      ];
+      const gridProps = {
+        rowHeight: 30,
+        margin: [0, 0],
+        containerPadding: [0, 0]
+      };
+      const mountNested = (props = {}) => {
+        const innerGrid = gridOf(innerLayout, {
+          ...gridProps,
+          gridId: "inner",
+          cols: 3,
+          width: 300,
+          compactType: null
+        });
+        const wrapper = mount(
+          <GridGroup onTransfer={props.onTransfer}>
+            {gridOf(outerLayout, {
+              ...gridProps,
+              gridId: "outer",
+              cols: 6,
+              width: 600,
+              onDragStart: props.onOuterDragStart,
+              children: [
+                <div key="panel">
+                  <div className="panel-content">{innerGrid}</div>
+                </div>,
+                <div key="o1" className="item-o1" />
+              ]
+            })}
+          </GridGroup>
+        );
+        const grids = wrapper.find(ReactGridLayout);
+        const outer = grids.at(0).instance();
+        const inner = grids.at(1).instance();
+        // The inner grid is in the top left corner of the outer one
+        const rect = (right, bottom) => () => ({
+          left: 0,
+          top: 0,
+          right,
+          bottom,
+          width: right,
+          height: bottom
+        });
+        outer.containerNode.getBoundingClientRect = rect(600, 600);
+        inner.containerNode.getBoundingClientRect = rect(300, 120);
+        const node = i => wrapper.find(`div.item-${i}`).getDOMNode();
+        return { wrapper, outer, inner, node };
+      };
+      const dragTo = (grid, i, node, left, top) =>
+        grid.onDrag(i, 0, 0, {
+          e: { clientX: left + 10, clientY: top + 10 },
+          node,
+          newPosition: { left, top }
+        });
+
+      it("Drags items from the inner grid to the outer one", () => {
+        const onTransfer = jest.fn();
+        const { outer, inner, node } = mountNested({ onTransfer });
+
+        inner.onDragStart("n1", 0, 0, { e: {}, node: node("n1") });
+        // Over the inner grid, which is inside the outer one too
+        dragTo(inner, "n1", node("n1"), 100, 0);
+        expect(outer.state.activeDrag).toBe(null);
+        expect(inner.state.activeDrag).toMatchObject({ i: "n1" });
+
+        dragTo(inner, "n1", node("n1"), 400, 0);
+        expect(outer.state.activeDrag).toMatchObject({ i: "n1", x: 4 });
+        inner.onDragStop("n1", 0, 0, { e: {}, node: node("n1") });
+        expect(onTransfer.mock.calls[0][0]).toMatchObject({
+          from: "inner",
+          to: "outer"
+        });
+      });
+
+      it("Drags items from the outer grid into the inner one", () => {
+        const { outer, inner, node } = mountNested();
+
+        outer.onDragStart("o1", 0, 0, { e: {}, node: node("o1") });
+        dragTo(outer, "o1", node("o1"), 100, 0);
+        expect(inner.state.activeDrag).toMatchObject({ i: "o1", x: 1 });
+      });
+
+      it("Does not drag the item holding the inner grid into it", () => {
+        const { outer, inner, wrapper } = mountNested();
+        const panel = wrapper.find("div.panel-content").getDOMNode().parentNode;
+
+        outer.onDragStart("panel", 0, 0, { e: {}, node: panel });
+        dragTo(outer, "panel", panel, 50, 0);
+        expect(inner.state.activeDrag).toBe(null);
+        expect(outer.state.activeDrag).toMatchObject({ i: "panel" });
+      });
+
+      it("Does not drag the outer item with an inner one", () => {
+        const { wrapper } = mountNested();
+        const draggableOf = i =>
+          wrapper
+            .find(GridItem)
+            .filterWhere(n => n.prop("i") === i)
+            .find(DraggableCore)
+            .first()
+            .instance();
+
+        wrapper.find("div.item-n1").simulate("mousedown", { button: 0 });
+        expect(draggableOf("n1").dragging).toBe(true);
+        expect(draggableOf("panel").dragging).toBe(false);
+        wrapper.unmount();
+      });
+
+      it("Marks the outer item while an inner one is dragged", () => {
+        const { wrapper, node } = mountNested();
+        const panel = wrapper.find("div.panel-content").getDOMNode().parentNode;
+        Object.defineProperty(node("n1"), "offsetParent", {
+          value: node("n1").parentNode
+        });
+
+        wrapper.find("div.item-n1").simulate("mousedown", { button: 0 });
+        expect(panel.classList).toContain("nested-dragging");
+        expect(node("n1").classList).not.toContain("nested-dragging");
+        expect(node("o1").classList).not.toContain("nested-dragging");
+
+        TestUtils.act(() => {
+          document.dispatchEvent(new MouseEvent("mouseup"));
+        });
+        expect(panel.classList).not.toContain("nested-dragging");
+        wrapper.unmount();
+      });
+
+      it("Sizes the outer item to the inner grid with autoHeight", () => {
+        jest.useFakeTimers();
+        try {
+          const { wrapper, outer, inner, node } = mountNested();
+          const content = wrapper.find("div.panel-content").getDOMNode();
+          Object.defineProperty(content, "offsetHeight", {
+            get: () => parseFloat(inner.containerNode.style.height)
+          });
+          const resize = () => {
+            wrapper
+              .find(GridItem)
+              .filterWhere(n => n.prop("i") === "panel")
+              .instance()
+              .onContentResize();
+            jest.advanceTimersByTime(16);
+          };
+          const panelH = () => _.find(outer.state.layout, { i: "panel" }).h;
+
+          resize();
+          expect(panelH()).toBe(2);
+
+          // Move n2 below n1: the inner grid is 3 rows high
+          inner.onDragStart("n2", 0, 0, { e: {}, node: node("n2") });
+          inner.onDragStop("n2", 0, 2, { e: {}, node: node("n2") });
+          wrapper.update();
+          resize();
+          expect(panelH()).toBe(3);
+        } finally {
+          jest.useRealTimers();
+        }
+      });
+    });
+
+    describe("Selection", () => {
+      const layout = [
+        { x: 0, y: 0, w: 1, h: 1, i: "a" },
+        { x: 2, y: 0, w: 1, h: 1, i: "b" },
+        { x: 0, y: 1, w: 3, h: 1, i: "c" }
+      ];
+      const selectableProps = {
+        cols: 6,
+        width: 600,
+        rowHeight: 30,
+        margin: [0, 0],
+        containerPadding: [0, 0],
+        isSelectable: true
+      };
+      const node = document.createElement("div");
+      const click = (instance, i, e = {}) => {
+        const l = _.find(instance.state.layout, { i });
+        instance.onDragStart(i, l.x, l.y, { e, node });
+        instance.onDragStop(i, l.x, l.y, { e, node });
+      };
+      const position = (instance, i) =>
+        _.pick(_.find(instance.state.layout, { i }), ["x", "y"]);
+
+      it("Selects with Ctrl/Shift+click and clears on a plain click", () => {
+        const onSelectionChange = jest.fn();
+        const wrapper = mountGrid(layout, {
+          ...selectableProps,
+          onSelectionChange
+        });
+        const instance = wrapper.instance();
+
+        click(instance, "a", { ctrlKey: true });
+        click(instance, "b", { shiftKey: true });
+        expect(instance.getSelected()).toEqual(["a", "b"]);
+        expect(onSelectionChange).toHaveBeenLastCalledWith(["a", "b"]);
+        wrapper.update();
+        expect(
+          wrapper
+            .find(GridItem)
+            .filterWhere(n => n.prop("className") === "selected").length
+        ).toBe(2);
+
+        click(instance, "a", { metaKey: true });
+        expect(instance.getSelected()).toEqual(["b"]);
+        click(instance, "c");
+        expect(instance.getSelected()).toEqual([]);
+      });
+
+      it("Drags the selected items as one block", () => {
+        const wrapper = mountGrid(layout, {
+          ...selectableProps,
+          selected: ["a", "b"]
+        });
+        const instance = wrapper.instance();
+
+        instance.onDragStart("a", 0, 0, { e: {}, node });
+        instance.onDrag("a", 0, 2, { e: {}, node });
+        // One placeholder per dragged item
+        expect(instance.placeholder().map(p => p.props.i)).toEqual(["a", "b"]);
+        instance.onDragStop("a", 0, 2, { e: {}, node });
+
+        // c is moved out of the way of the whole block, gap included
+        expect(position(instance, "c")).toEqual({ x: 0, y: 0 });
+        expect(position(instance, "a")).toEqual({ x: 0, y: 1 });
+        expect(position(instance, "b")).toEqual({ x: 2, y: 1 });
+        expect(instance.state.activeDragGroup).toBe(null);
+      });
+
+      it("Keeps the dragged block inside the grid", () => {
+        const wrapper = mountGrid(layout, {
+          ...selectableProps,
+          selected: ["a", "b"]
+        });
+        const instance = wrapper.instance();
+
+        instance.onDragStart("b", 2, 0, { e: {}, node });
+        instance.onDragStop("b", 5, 0, { e: {}, node });
+        expect(position(instance, "a")).toEqual({ x: 3, y: 0 });
+        expect(position(instance, "b")).toEqual({ x: 5, y: 0 });
+      });
+
+      it("Selects the items a lasso touches", () => {
+        const onSelectionChange = jest.fn();
+        const wrapper = mountGrid(layout, {
+          ...selectableProps,
+          onSelectionChange
+        });
+        const instance = wrapper.instance();
+        const container = instance.containerNode;
+        container.getBoundingClientRect = () => ({ left: 0, top: 0 });
+
+        wrapper.find(".react-grid-layout").simulate("mousedown", {
+          button: 0,
+          target: container,
+          clientX: 150,
+          clientY: 5
+        });
+        document.dispatchEvent(
+          new MouseEvent("mousemove", { clientX: 250, clientY: 20 })
+        );
+        wrapper.update();
+        expect(wrapper.find(".react-grid-lasso").prop("style")).toMatchObject({
+          left: 150,
+          top: 5,
+          width: 100,
+          height: 15
+        });
+        document.dispatchEvent(new MouseEvent("mouseup"));
+
+        expect(instance.state.lasso).toBe(null);
+        expect(onSelectionChange).toHaveBeenCalledWith(["b"]);
+        expect(instance.getSelected()).toEqual(["b"]);
+      });
+    });
   });
 
   describe("<ResponsiveReactGridLayout>", function () {
@@ -1031,4 +2448,249 @@ describe("Lifecycle tests", function () {
       expect(frozenLayouts).not.toContain("md");
     });
   });
+
+  describe("<DraggableSource>", () => {
+    const pointerEvent = (type, clientX, clientY) => {
+      const e = new MouseEvent(type, { bubbles: true, clientX, clientY });
+      e.pointerId = 1;
+      return e;
+    };
+    const move = (type, clientX, clientY) =>
+      TestUtils.act(() => {
+        document.dispatchEvent(pointerEvent(type, clientX, clientY));
+      });
+    const mountSource = props =>
+      mount(
+        <DraggableSource uniKey="a" data={{ w: 1 }} {...props}>
+          a
+        </DraggableSource>
+      );
+    const mountTarget = props => {
+      const grid = mount(
+        <ReactGridLayout layout={[]} width={1200} cols={12} {...props} />
+      );
+      Object.defineProperty(
+        grid.instance().containerNode,
+        "getBoundingClientRect",
+        {
+          value: () => ({ left: 0, top: 0, right: 1200, bottom: 600 })
+        }
+      );
+      return grid;
+    };
+    const pointerDown = (wrapper, pointerType) =>
+      wrapper.find("div").simulate("pointerdown", {
+        pointerType,
+        button: 0,
+        pointerId: 1,
+        isPrimary: true,
+        clientX: 10,
+        clientY: 10
+      });
+    const droppingLayoutItem = grid =>
+      grid.state("layout").find(l => l.i === "__dropping-elem__");
+    let mouseMoves;
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      mouseMoves = jest.fn();
+      document.addEventListener("mousemove", mouseMoves);
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+      document.removeEventListener("mousemove", mouseMoves);
+    });
+
+    ["mouse", "touch"].forEach(pointerType => {
+      it(`Drags a toolbox item into the target grid with a ${pointerType}`, () => {
+        const onDrop = jest.fn();
+        const grid = mountTarget({ onDrop });
+        // The toolbox lies on top of the grid's left edge
+        const toolbox = document.createElement("div");
+        toolbox.getBoundingClientRect = () => ({
+          left: 0,
+          top: 0,
+          right: 100,
+          bottom: 600
+        });
+        const hideElement = jest.fn();
+        const visibleElement = jest.fn();
+        const finalTempComponentList = jest.fn();
+        const wrapper = mountSource({
+          targetRef: { current: grid.instance() },
+          containerRef: { current: toolbox },
+          hideElement,
+          visibleElement,
+          finalTempComponentList,
+          longPressDelay: 200
+        });
+
+        pointerDown(wrapper, pointerType);
+        if (pointerType === "touch") {
+          jest.advanceTimersByTime(150);
+          expect(wrapper.getDOMNode().style.zIndex).toBe("");
+          jest.advanceTimersByTime(50);
+        }
+        move("pointermove", 50, 100);
+        expect(wrapper.getDOMNode().style.transform).toBe(
+          "translate(40px, 90px)"
+        );
+        expect(droppingLayoutItem(grid)).toBeUndefined();
+        expect(hideElement).not.toHaveBeenCalled();
+
+        move("pointermove", 1300, 100);
+        expect(hideElement).toHaveBeenCalledTimes(1);
+        expect(hideElement).toHaveBeenCalledWith("a", { w: 1 });
+        expect(visibleElement).not.toHaveBeenCalled();
+
+        // The grid shows its dropping item from the pointer events themselves
+        move("pointermove", 300, 100);
+        expect(droppingLayoutItem(grid)).toBeDefined();
+        expect(visibleElement).toHaveBeenCalledTimes(1);
+        expect(visibleElement).toHaveBeenCalledWith("a", {
+          w: 1,
+          mouseEvent: { clientX: 300, clientY: 100 }
+        });
+        move("pointermove", 400, 100);
+        expect(hideElement).toHaveBeenCalledTimes(1);
+        expect(visibleElement).toHaveBeenCalledTimes(1);
+
+        move("pointerup", 400, 100);
+        expect(onDrop).toHaveBeenCalledTimes(1);
+        expect(onDrop.mock.calls[0][3]).toEqual({
+          uniKey: "a",
+          data: { w: 1 }
+        });
+        expect(finalTempComponentList).toHaveBeenCalledTimes(1);
+        expect(droppingLayoutItem(grid)).toBeUndefined();
+        // Nothing is passed on as mouse events
+        expect(mouseMoves).not.toHaveBeenCalled();
+        wrapper.unmount();
+        grid.unmount();
+      });
+    });
+
+    it("Leaves a touch that moves before the long press to scrolling", () => {
+      const grid = mountTarget();
+      const visibleElement = jest.fn();
+      const wrapper = mountSource({
+        targetRef: { current: grid.instance() },
+        visibleElement
+      });
+
+      pointerDown(wrapper, "touch");
+      move("pointermove", 10, 40);
+      jest.advanceTimersByTime(1000);
+      move("pointermove", 300, 100);
+
+      expect(wrapper.getDOMNode().style.transform).toBe("");
+      expect(droppingLayoutItem(grid)).toBeUndefined();
+      expect(visibleElement).not.toHaveBeenCalled();
+      wrapper.unmount();
+      grid.unmount();
+    });
+
+    it("Drops into the grid given as `grid`", () => {
+      const onDrop = jest.fn();
+      const grid = mountTarget({ onDrop });
+      const wrapper = mountSource({
+        grid: { current: grid.instance() },
+        item: { w: 2, h: 3 }
+      });
+
+      pointerDown(wrapper, "mouse");
+      move("pointermove", 1300, 100);
+      expect(droppingLayoutItem(grid)).toBeUndefined();
+      move("pointermove", 300, 100);
+      expect(droppingLayoutItem(grid)).toMatchObject({ w: 2, h: 3 });
+      // Leaving the grid takes the placeholder out again
+      move("pointermove", 1300, 100);
+      expect(droppingLayoutItem(grid)).toBeUndefined();
+
+      move("pointermove", 300, 100);
+      move("pointerup", 300, 100);
+      expect(onDrop).toHaveBeenCalledTimes(1);
+      const [layout, item, , source] = onDrop.mock.calls[0];
+      expect(layout).toContain(item);
+      expect(item).toMatchObject({ i: "__dropping-elem__", w: 2, h: 3 });
+      expect(source).toEqual({ uniKey: "a", data: { w: 1 } });
+      expect(droppingLayoutItem(grid)).toBeUndefined();
+      expect(wrapper.getDOMNode().style.transform).toBe("");
+      wrapper.unmount();
+      grid.unmount();
+    });
+
+    it("Picks the grid under the pointer, one source at a time", () => {
+      const onDrop = [jest.fn(), jest.fn()];
+      const grids = [0, 1].map(n => {
+        const grid = mount(
+          <ReactGridLayout
+            layout={[]}
+            width={500}
+            cols={5}
+            onDrop={onDrop[n]}
+          />
+        );
+        Object.defineProperty(
+          grid.instance().containerNode,
+          "getBoundingClientRect",
+          {
+            value: () => ({
+              left: n * 500,
+              top: 0,
+              right: n * 500 + 500,
+              bottom: 600
+            })
+          }
+        );
+        return grid;
+      });
+      const gridRefs = grids.map(grid => ({ current: grid.instance() }));
+      const sources = ["a", "b"].map(uniKey =>
+        mountSource({ grid: gridRefs, uniKey })
+      );
+      const hasDroppingItem = n =>
+        grids[n].state("layout").some(l => l.i === "__dropping-elem__");
+      const move = (type, pointerId, clientX) =>
+        TestUtils.act(() => {
+          const e = new MouseEvent(type, { clientX, clientY: 100 });
+          e.pointerId = pointerId;
+          document.dispatchEvent(e);
+        });
+      sources.forEach((source, n) =>
+        source.find("div").simulate("pointerdown", {
+          pointerType: "mouse",
+          button: 0,
+          pointerId: n + 1,
+          isPrimary: true,
+          clientX: 10,
+          clientY: 10
+        })
+      );
+
+      move("pointermove", 1, 700);
+      expect(hasDroppingItem(0)).toBe(false);
+      expect(hasDroppingItem(1)).toBe(true);
+      move("pointermove", 1, 200);
+      expect(hasDroppingItem(0)).toBe(true);
+      expect(hasDroppingItem(1)).toBe(false);
+
+      // The first grid is taken by "a"; "b" only gets the second one
+      move("pointermove", 2, 300);
+      move("pointerup", 2, 300);
+      expect(onDrop[0]).not.toHaveBeenCalled();
+      expect(hasDroppingItem(0)).toBe(true);
+
+      move("pointerup", 1, 200);
+      expect(onDrop[0]).toHaveBeenCalledTimes(1);
+      expect(onDrop[0].mock.calls[0][3]).toEqual({
+        uniKey: "a",
+        data: { w: 1 }
+      });
+      expect(onDrop[1]).not.toHaveBeenCalled();
+      sources.forEach(source => source.unmount());
+      grids.forEach(grid => grid.unmount());
+    });
+  });
 });
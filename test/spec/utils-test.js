@@ -2,23 +2,46 @@
 /* eslint-env jest */
 
 import {
+  applyLayoutPatch,
   bottom,
+  cloneLayout,
   collides,
   compact,
+  diffLayouts,
   fastRGLPropsEqual,
+  getAllCollisions,
+  getFirstCollision,
+  getSwapTarget,
+  GROUP_ITEM_ID,
+  getLayoutGroups,
+  groupLayoutItems,
   moveElement,
+  packLayout,
+  right,
   sortLayoutItemsByRowCol,
+  swapElements,
+  ungroupLayoutItems,
+  withLayoutGroupsAsItems,
   validateLayout,
   compactType,
   synchronizeLayoutWithChildren
 } from "../../lib/utils";
 import * as React from "react";
 import {
+  calcAspectWH,
+  calcColCount,
   calcGridColWidth,
+  calcGridItemPercentages,
   calcGridItemPosition,
+  calcGridTemplate,
+  calcRowHeight,
+  calcRowsForHeight,
   calcWH,
   calcXY
 } from "../../lib/calculateUtils";
+import SpatialIndex from "../../lib/SpatialIndex";
+import * as linear from "../util/linearLayout";
+import { getAutoScrollDelta } from "../../lib/AutoScroller";
 import { deepEqual } from "fast-equals";
 import deepFreeze from "./../util/deepFreeze";
 
@@ -411,6 +434,203 @@ describe("moveElement", () => {
   });
 });
 
+describe("moveElement without compaction", () => {
+  const move = (layout, i, x, y, cols) =>
+    moveElement(
+      layout,
+      layout.find(l => l.i === i),
+      x,
+      y,
+      true, // isUserAction
+      false, // preventCollision
+      null, // compactType
+      cols
+    );
+  const positions = layout =>
+    Object.fromEntries(layout.map(l => [l.i, [l.x, l.y]]));
+
+  it("Moves an item in the way to the nearest free cell, not just down", () => {
+    const layout = [
+      { x: 0, y: 0, w: 1, h: 2, i: "A" },
+      { x: 1, y: 0, w: 1, h: 1, i: "B" },
+      { x: 1, y: 1, w: 1, h: 1, i: "C" },
+      { x: 2, y: 0, w: 1, h: 1, i: "D" }
+    ];
+    expect(positions(move(layout, "A", 1, 0, 3))).toEqual({
+      A: [1, 0],
+      B: [0, 0],
+      C: [0, 1],
+      D: [2, 0]
+    });
+  });
+
+  it("Prefers the higher cell, then the left one, on a tie", () => {
+    const layout = [
+      { x: 0, y: 1, w: 1, h: 1, i: "X" },
+      { x: 1, y: 1, w: 1, h: 1, i: "B" },
+      { x: 2, y: 1, w: 1, h: 1, i: "Y" },
+      { x: 1, y: 3, w: 1, h: 1, i: "A" }
+    ];
+    // (1, 0) and (1, 2) are both one cell away from B
+    expect(positions(move(layout, "A", 1, 1, 3))).toMatchObject({
+      A: [1, 1],
+      B: [1, 0]
+    });
+
+    const row = [
+      { x: 1, y: 0, w: 1, h: 1, i: "B" },
+      { x: 1, y: 1, w: 1, h: 1, i: "A" }
+    ];
+    // (0, 0) and (2, 0)
+    expect(positions(move(row, "A", 1, 0, 3))).toMatchObject({
+      A: [1, 0],
+      B: [0, 0]
+    });
+  });
+
+  it("Moves the item off static items first", () => {
+    const layout = [
+      { x: 1, y: 0, w: 1, h: 1, i: "S", static: true },
+      { x: 0, y: 1, w: 1, h: 1, i: "B" },
+      { x: 0, y: 2, w: 1, h: 2, i: "A" }
+    ];
+    expect(positions(move(layout, "A", 1, 0, 2))).toEqual({
+      S: [1, 0],
+      A: [0, 0],
+      B: [1, 1]
+    });
+  });
+
+  it("Gives up when a static item that never ends leaves no free cell", () => {
+    const layout = [
+      { x: 0, y: 0, w: 2, h: Infinity, i: "S", static: true },
+      { x: 0, y: 0, w: 1, h: 1, i: "A" }
+    ];
+    expect(positions(move(layout, "A", 1, 2, 2))).toEqual({
+      S: [0, 0],
+      A: [1, 2]
+    });
+  });
+
+  it("Does not depend on the order of the layout", () => {
+    const layout = () => [
+      { x: 0, y: 0, w: 2, h: 2, i: "A" },
+      { x: 2, y: 0, w: 1, h: 1, i: "B" },
+      { x: 3, y: 0, w: 1, h: 1, i: "C" },
+      { x: 2, y: 1, w: 1, h: 1, i: "D" }
+    ];
+    const expected = positions(move(layout(), "A", 2, 0, 4));
+    expect(expected).toEqual({
+      A: [2, 0],
+      B: [1, 0],
+      C: [3, 2],
+      D: [1, 1]
+    });
+    expect(positions(move(layout().reverse(), "A", 2, 0, 4))).toEqual(expected);
+  });
+});
+
+describe("packLayout", () => {
+  const positions = layout =>
+    Object.fromEntries(layout.map(l => [l.i, [l.x, l.y]]));
+  const sized = items => items.map(([i, w, h]) => ({ i, x: 0, y: 0, w, h }));
+
+  it("Fills gaps with first-fit", () => {
+    const layout = sized([
+      ["A", 2, 2],
+      ["B", 3, 1],
+      ["C", 1, 1],
+      ["D", 2, 1]
+    ]);
+    const packed = packLayout(layout, 4);
+    expect(positions(packed)).toEqual({
+      A: [0, 0],
+      B: [0, 2],
+      C: [2, 0],
+      D: [2, 1]
+    });
+    expect(packed[0]).not.toBe(layout[0]);
+    expect(layout[1]).toMatchObject({ x: 0, y: 0 });
+  });
+
+  it("Puts items in the tightest gap with best-fit", () => {
+    const layout = [
+      { i: "S1", x: 1, y: 0, w: 1, h: 1, static: true },
+      { i: "S2", x: 3, y: 0, w: 1, h: 1, static: true },
+      { i: "S3", x: 2, y: 1, w: 1, h: 1, static: true },
+      { i: "X", x: 0, y: 5, w: 1, h: 1 }
+    ];
+    expect(positions(packLayout(layout, 4, "first-fit")).X).toEqual([0, 0]);
+    expect(positions(packLayout(layout, 4, "best-fit")).X).toEqual([2, 0]);
+  });
+
+  it("Stacks items without going back into gaps with skyline", () => {
+    const layout = sized([
+      ["A", 1, 1],
+      ["B", 4, 1],
+      ["C", 1, 1]
+    ]);
+    expect(positions(packLayout(layout, 4, "first-fit")).C).toEqual([1, 0]);
+    expect(positions(packLayout(layout, 4, "skyline"))).toEqual({
+      A: [0, 0],
+      B: [0, 1],
+      C: [0, 2]
+    });
+  });
+
+  it("Keeps static items and goes around them", () => {
+    const layout = [
+      { i: "S", x: 0, y: 0, w: 2, h: 1, static: true },
+      { i: "X", x: 0, y: 0, w: 2, h: 2 }
+    ];
+    ["first-fit", "best-fit", "skyline"].forEach(strategy => {
+      expect(positions(packLayout(layout, 4, strategy))).toEqual({
+        S: [0, 0],
+        X: [2, 0]
+      });
+    });
+  });
+
+  it("Brings sizes within min/max and the columns", () => {
+    const packed = packLayout(
+      [
+        { i: "A", x: 0, y: 0, w: 10, h: 1 },
+        { i: "B", x: 0, y: 0, w: 1, h: 1, minH: 2 },
+        { i: "C", x: 0, y: 0, w: 3, h: 5, maxW: 2, maxH: 3 }
+      ],
+      4
+    );
+    expect(packed).toEqual([
+      expect.objectContaining({ i: "A", x: 0, y: 0, w: 4, h: 1 }),
+      expect.objectContaining({ i: "B", x: 0, y: 1, w: 1, h: 2 }),
+      expect.objectContaining({ i: "C", x: 1, y: 1, w: 2, h: 3 })
+    ]);
+  });
+
+  it("Packs around static items that never end", () => {
+    const layout = [
+      { i: "S", x: 0, y: 0, w: 2, h: Infinity, static: true },
+      { i: "A", x: 0, y: 0, w: 2, h: 1 },
+      { i: "B", x: 0, y: 0, w: 3, h: 1 }
+    ];
+    ["first-fit", "best-fit", "skyline"].forEach(strategy => {
+      expect(positions(packLayout(layout, 4, strategy))).toEqual({
+        S: [0, 0],
+        A: [2, 0],
+        B: [0, 2]
+      });
+    });
+    expect(positions(packLayout(layout, 4, "first-fit", 5))).toMatchObject({
+      A: [2, 0],
+      B: [0, 5]
+    });
+  });
+
+  it("Throws on an unknown strategy", () => {
+    expect(() => packLayout([], 4, "random")).toThrow(/random/);
+  });
+});
+
 describe("compact vertical", () => {
   it("Removes empty vertical space above item", () => {
     const layout = [{ i: "1", x: 0, y: 1, w: 1, h: 1 }];
@@ -514,6 +734,436 @@ describe("compact horizontal", () => {
   });
 });
 
+describe("compact horizontal with maxRows", () => {
+  const positions = layout =>
+    Object.fromEntries(layout.map(l => [l.i, [l.x, l.y]]));
+  const layout = [
+    { y: 0, x: 0, h: 2, w: 2, i: "1" },
+    { y: 0, x: 2, h: 2, w: 2, i: "2" },
+    { y: 0, x: 4, h: 2, w: 2, i: "3" },
+    { y: -2, x: -2, h: 2, w: 2, i: "4" }
+  ];
+
+  it("Keeps items within maxRows", () => {
+    const compacted = compact(
+      [{ x: 3, y: 5, w: 1, h: 1, i: "1" }],
+      "horizontal",
+      4,
+      false,
+      3
+    );
+    expect(positions(compacted)).toEqual({ 1: [0, 2] });
+  });
+
+  it("Wraps to the next row only while it is within maxRows", () => {
+    const row = [
+      { x: 0, y: 0, w: 4, h: 1, i: "A" },
+      { x: 1, y: 0, w: 2, h: 1, i: "B" }
+    ];
+    expect(positions(compact(row, "horizontal", 4, false, 2)).B).toEqual([
+      0, 1
+    ]);
+    expect(positions(compact(row, "horizontal", 4, false, 1)).B).toEqual([
+      4, 0
+    ]);
+  });
+
+  it("Grows past the last column when there is no row left", () => {
+    expect(positions(compact(layout, "horizontal", 6, false, 2))).toEqual({
+      1: [2, 0],
+      2: [4, 0],
+      3: [6, 0],
+      4: [0, 0]
+    });
+  });
+
+  it("Never wraps with growHorizontally", () => {
+    const compacted = compact(layout, "horizontal", 6, false, Infinity, true);
+    expect(positions(compacted)["3"]).toEqual([6, 0]);
+    expect(right(compacted)).toBe(8);
+  });
+});
+
+describe("SpatialIndex", () => {
+  const layout = [
+    { x: 0, y: 0, w: 2, h: 2, i: "A" },
+    { x: 2, y: 0, w: 2, h: 5, i: "B" },
+    { x: 0, y: 3, w: 4, h: 1, i: "C" },
+    { x: 1, y: 6, w: 1, h: 1, i: "D" },
+    { x: 3, y: 1, w: 1, h: Infinity, i: "E" }
+  ];
+
+  it("Finds the same collisions as a linear scan", () => {
+    const index = new SpatialIndex(layout);
+    const probes = [
+      { x: 1, y: 1, w: 2, h: 3, i: "p1" },
+      { x: 0, y: 5, w: 4, h: 2, i: "p2" },
+      { x: 0, y: 10, w: 1, h: 1, i: "p3" },
+      { x: 3, y: 100, w: 1, h: 1, i: "p4" }
+    ];
+    probes.forEach(probe => {
+      expect(getAllCollisions(layout, probe, index)).toEqual(
+        getAllCollisions(layout, probe)
+      );
+      expect(getFirstCollision(layout, probe, index)).toBe(
+        getFirstCollision(layout, probe)
+      );
+    });
+  });
+
+  it("Returns collisions in layout order after updates", () => {
+    const items = layout.map(l => ({ ...l }));
+    const index = new SpatialIndex(items);
+    items[0].y = 3;
+    index.update(items[0]);
+    const resized = { ...items[2], w: 2 };
+    index.replace(items[2], resized);
+    items[2] = resized;
+
+    const probe = { x: 0, y: 3, w: 4, h: 1, i: "probe" };
+    expect(getAllCollisions(items, probe, index).map(l => l.i)).toEqual([
+      "A",
+      "B",
+      "C",
+      "E"
+    ]);
+  });
+
+  describe("Gives the same results as linear scans", () => {
+    // Small seeded PRNG so failures can be reproduced
+    const random = seed => () => {
+      seed = (seed * 16807) % 2147483647;
+      return (seed - 1) / 2147483646;
+    };
+    const randomLayout = (rand, cols) =>
+      Array.from({ length: 40 }, (_, i) => ({
+        i: String(i),
+        w: 1 + Math.floor(rand() * 4),
+        h: 1 + Math.floor(rand() * 4),
+        x: Math.floor(rand() * (cols - 3)),
+        y: Math.floor(rand() * 30),
+        static: rand() < 0.1
+      }));
+    const positions = layout => layout.map(l => [l.i, l.x, l.y, l.moved]);
+
+    ["vertical", "horizontal"].forEach(compactType => {
+      it(`compact and moveElement, ${compactType}`, () => {
+        const cols = 12;
+        for (let seed = 1; seed <= 50; seed++) {
+          const rand = random(seed);
+          const layout = randomLayout(rand, cols);
+          // Both modify the items they are given
+          const compacted = compact(cloneLayout(layout), compactType, cols);
+          expect(positions(compacted)).toEqual(
+            positions(linear.compact(cloneLayout(layout), compactType, cols))
+          );
+
+          for (let move = 0; move < 5; move++) {
+            const i = Math.floor(rand() * layout.length);
+            const x = Math.floor(rand() * cols);
+            const y = Math.floor(rand() * 30);
+            const indexed = cloneLayout(compacted);
+            const scanned = cloneLayout(compacted);
+            expect(
+              positions(
+                moveElement(
+                  indexed,
+                  indexed[i],
+                  x,
+                  y,
+                  true,
+                  false,
+                  compactType,
+                  cols
+                )
+              )
+            ).toEqual(
+              positions(
+                linear.moveElement(
+                  scanned,
+                  scanned[i],
+                  x,
+                  y,
+                  true,
+                  false,
+                  compactType,
+                  cols
+                )
+              )
+            );
+          }
+        }
+      });
+    });
+  });
+
+  it("Tracks items that are moved and removed", () => {
+    const items = layout.slice(0, 4).map(l => ({ ...l }));
+    const index = new SpatialIndex(items);
+    expect(index.bottom()).toEqual(7);
+
+    items[3].y = 20;
+    index.update(items[3]);
+    expect(getFirstCollision(items, { x: 1, y: 6, w: 1, h: 1 }, index)).toBe(
+      undefined
+    );
+    expect(getFirstCollision(items, { x: 1, y: 20, w: 1, h: 1 }, index)).toBe(
+      items[3]
+    );
+    expect(index.bottom()).toEqual(21);
+
+    index.remove(items[3]);
+    expect(index.bottom()).toEqual(5);
+    expect(index.size).toEqual(3);
+  });
+
+  it("Compacts items far below the layout in one step", () => {
+    const layout = [
+      { x: 0, y: 0, w: 2, h: 2, i: "1" },
+      { x: 0, y: 5000, w: 1, h: 1, i: "2" },
+      { x: 1, y: 9000, w: 1, h: 1, i: "3" }
+    ];
+    expect(compact(layout, "vertical", 2)).toEqual([
+      { x: 0, y: 0, w: 2, h: 2, i: "1", moved: false, static: false },
+      { x: 0, y: 2, w: 1, h: 1, i: "2", moved: false, static: false },
+      { x: 1, y: 2, w: 1, h: 1, i: "3", moved: false, static: false }
+    ]);
+  });
+});
+
+describe("getSwapTarget", () => {
+  const layout = [
+    { x: 0, y: 0, w: 2, h: 2, i: "a" },
+    { x: 2, y: 0, w: 2, h: 2, i: "b" },
+    { x: 4, y: 0, w: 6, h: 4, i: "big" },
+    { x: 0, y: 4, w: 2, h: 2, i: "pinned", static: true }
+  ];
+
+  it("Finds an item of similar size the dragged item mostly covers", () => {
+    expect(getSwapTarget(layout, layout[0], 2, 0)).toBe(layout[1]);
+  });
+
+  it("Ignores items that are only partially covered", () => {
+    expect(getSwapTarget(layout, layout[0], 3, 1)).toBe(undefined);
+  });
+
+  it("Ignores items much larger than the dragged item", () => {
+    expect(getSwapTarget(layout, layout[0], 4, 0)).toBe(undefined);
+  });
+
+  it("Ignores static items", () => {
+    expect(getSwapTarget(layout, layout[0], 0, 4)).toBe(undefined);
+  });
+});
+
+describe("swapElements", () => {
+  it("Swaps the positions of two items", () => {
+    const a = { x: 0, y: 0, w: 2, h: 2, i: "a" };
+    const b = { x: 2, y: 3, w: 2, h: 2, i: "b" };
+    expect(swapElements([a, b], a, b, false)).toBe(true);
+    expect(a).toEqual({ x: 2, y: 3, w: 2, h: 2, i: "a", moved: true });
+    expect(b).toEqual({ x: 0, y: 0, w: 2, h: 2, i: "b", moved: true });
+  });
+
+  it("Does nothing with preventCollision if the swap would collide", () => {
+    const a = { x: 0, y: 0, w: 2, h: 2, i: "a" };
+    const b = { x: 2, y: 0, w: 3, h: 2, i: "b" };
+    const layout = deepFreeze([a, b]);
+    expect(swapElements(layout, a, b, true)).toBe(false);
+  });
+
+  it("Swaps items of different sizes without preventCollision", () => {
+    const a = { x: 0, y: 0, w: 2, h: 2, i: "a" };
+    const b = { x: 2, y: 0, w: 3, h: 2, i: "b" };
+    expect(swapElements([a, b], a, b, false)).toBe(true);
+    expect(a).toMatchObject({ x: 2, y: 0 });
+    expect(b).toMatchObject({ x: 0, y: 0 });
+  });
+
+  it("Does nothing if an item would go past the last column", () => {
+    const a = { x: 0, y: 0, w: 3, h: 2, i: "a" };
+    const b = { x: 4, y: 0, w: 2, h: 2, i: "b" };
+    // a would end at column 7
+    expect(swapElements(deepFreeze([a, b]), a, b, false, 6)).toBe(false);
+
+    const c = { x: 0, y: 0, w: 3, h: 2, i: "c" };
+    const d = { x: 4, y: 0, w: 2, h: 2, i: "d" };
+    expect(swapElements([c, d], c, d, false, 7)).toBe(true);
+    expect(c).toMatchObject({ x: 4, y: 0 });
+  });
+});
+
+describe("groupLayoutItems", () => {
+  const layout = [
+    { x: 0, y: 0, w: 1, h: 1, i: "a" },
+    { x: 4, y: 0, w: 2, h: 2, i: "b" },
+    { x: 2, y: 2, w: 1, h: 1, i: "c" },
+    { x: 0, y: 3, w: 1, h: 1, i: "d", static: true }
+  ];
+
+  it("Replaces the items by their bounding box", () => {
+    const { layout: grouped, group } = groupLayoutItems(layout, [
+      "c",
+      "a",
+      "d"
+    ]);
+    expect(grouped.map(l => l.i)).toEqual([GROUP_ITEM_ID, "b", "d"]);
+    expect(grouped[0]).toMatchObject({ x: 0, y: 0, w: 3, h: 3 });
+    // Static items stay out of the group
+    expect(group.members.map(l => l.i)).toEqual(["a", "c"]);
+  });
+
+  it("Returns no group if there is nothing to group", () => {
+    expect(groupLayoutItems(layout, ["d", "z"])).toEqual({
+      layout,
+      group: null
+    });
+  });
+
+  it("Puts the members back where the box went, in their old order", () => {
+    const { layout: grouped, group } = groupLayoutItems(layout, ["a", "c"]);
+    const moved = grouped.map(l =>
+      l.i === GROUP_ITEM_ID ? { ...l, x: 3, y: 1 } : l
+    );
+    const out = ungroupLayoutItems(moved, group);
+    expect(out.map(l => l.i)).toEqual(["a", "b", "c", "d"]);
+    expect(out[0]).toMatchObject({ x: 3, y: 1, moved: true });
+    expect(out[2]).toMatchObject({ x: 5, y: 3, moved: true });
+    expect(out[1]).toBe(layout[1]);
+  });
+});
+
+describe("layout groups", () => {
+  // A header, then two items with a row free between them
+  const layout = [
+    { x: 4, y: 0, w: 2, h: 1, i: "c" },
+    { x: 0, y: 2, w: 4, h: 1, i: "g1" },
+    { x: 0, y: 3, w: 2, h: 2, i: "a", group: "g1" },
+    { x: 2, y: 5, w: 2, h: 1, i: "b", group: "g1" }
+  ];
+
+  it("getLayoutGroups lists the header first", () => {
+    expect(getLayoutGroups(layout)).toEqual({ g1: ["g1", "a", "b"] });
+    expect(getLayoutGroups(layout.slice(2))).toEqual({ g1: ["a", "b"] });
+  });
+
+  it("compact moves a group as a whole", () => {
+    const byId = {};
+    compact(layout, "vertical", 6).forEach(l => (byId[l.i] = l));
+    expect(byId.g1).toMatchObject({ x: 0, y: 0 });
+    expect(byId.a).toMatchObject({ x: 0, y: 1, group: "g1", moved: false });
+    // The free row stays
+    expect(byId.b).toMatchObject({ x: 2, y: 3 });
+    expect(byId.c).toMatchObject({ x: 4, y: 0 });
+  });
+
+  it("withLayoutGroupsAsItems keeps the groups of some items as they are", () => {
+    const fn = jest.fn(grouped => grouped);
+    expect(withLayoutGroupsAsItems(layout, ["b"], fn)).toBe(layout);
+    expect(fn).toHaveBeenCalledWith(layout);
+
+    const out = withLayoutGroupsAsItems(layout, [], grouped => {
+      expect(grouped.map(l => l.i)).toEqual(["c", `${GROUP_ITEM_ID}:g1`]);
+      return grouped.map(l => (l.i === "c" ? l : { ...l, y: 0 }));
+    });
+    expect(out.map(l => [l.i, l.y])).toEqual([
+      ["c", 0],
+      ["g1", 0],
+      ["a", 1],
+      ["b", 3]
+    ]);
+  });
+});
+
+describe("diffLayouts and applyLayoutPatch", () => {
+  const a = [
+    { x: 0, y: 0, w: 2, h: 2, i: "1" },
+    { x: 2, y: 0, w: 2, h: 2, i: "2" },
+    { x: 4, y: 0, w: 2, h: 2, i: "3" }
+  ];
+  const b = [
+    { x: 0, y: 0, w: 2, h: 3, i: "1" },
+    { x: 4, y: 0, w: 2, h: 2, i: "2" },
+    { x: 0, y: 3, w: 1, h: 1, i: "4" }
+  ];
+
+  it("diffLayouts lists removals, additions, moves and resizes", () => {
+    const ops = diffLayouts(a, b);
+    expect(ops).toEqual([
+      { op: "remove", i: "3" },
+      { op: "add", item: expect.objectContaining(b[2]) },
+      { op: "resize", i: "1", w: 2, h: 3 },
+      { op: "move", i: "2", x: 4, y: 0 }
+    ]);
+    expect(diffLayouts(a, a)).toEqual([]);
+  });
+
+  it("applyLayoutPatch turns one layout into the other", () => {
+    const out = applyLayoutPatch(
+      deepFreeze(a, { get: false, set: true }),
+      diffLayouts(a, b),
+      { cols: 6 }
+    );
+    expect(out.map(({ i, x, y, w, h }) => ({ x, y, w, h, i }))).toEqual(b);
+  });
+
+  it("applyLayoutPatch gives the same layout when applied twice", () => {
+    const ops = diffLayouts(a, b);
+    const once = applyLayoutPatch(a, ops, { cols: 6 });
+    expect(applyLayoutPatch(once, ops, { cols: 6 })).toEqual(once);
+  });
+
+  it("applyLayoutPatch ignores items that aren't there and compacts", () => {
+    const ops = [
+      { op: "move", i: "nope", x: 0, y: 0 },
+      { op: "remove", i: "1" },
+      { op: "move", i: "3", x: 5, y: 4 }
+    ];
+    const out = applyLayoutPatch(a, ops, { cols: 6 });
+    expect(out.map(l => [l.i, l.x, l.y])).toEqual([
+      ["2", 2, 0],
+      // Kept in the grid
+      ["3", 4, 0]
+    ]);
+    expect(
+      applyLayoutPatch(a, ops, { cols: 6, compactType: null })[1]
+    ).toMatchObject({ i: "3", x: 4, y: 4 });
+  });
+});
+
+describe("getAutoScrollDelta", () => {
+  const rect = { left: 0, top: 100, right: 800, bottom: 600 };
+
+  it("Does not scroll away from the edges", () => {
+    expect(getAutoScrollDelta(rect, 400, 350, 20)).toEqual({
+      left: 0,
+      top: 0
+    });
+  });
+
+  it("Speeds up closer to the edge", () => {
+    expect(getAutoScrollDelta(rect, 400, 575, 20)).toEqual({
+      left: 0,
+      top: 10
+    });
+    expect(getAutoScrollDelta(rect, 400, 600, 20)).toEqual({
+      left: 0,
+      top: 20
+    });
+    expect(getAutoScrollDelta(rect, 5, 120, 20)).toEqual({
+      left: -18,
+      top: -12
+    });
+  });
+
+  it("Keeps the max speed past the edge", () => {
+    expect(getAutoScrollDelta(rect, 900, 700, 20)).toEqual({
+      left: 20,
+      top: 20
+    });
+  });
+});
+
 const basePositionParams = {
   margin: [0, 0],
   containerPadding: [0, 0],
@@ -522,6 +1172,24 @@ const basePositionParams = {
   rowHeight: 50,
   maxRows: 12
 };
+describe("calcColCount", () => {
+  it("should be cols without a colWidth", () => {
+    expect(calcColCount(basePositionParams)).toEqual(8);
+  });
+
+  it("should fit fixed-width columns in the container", () => {
+    const positionParams = {
+      ...basePositionParams,
+      margin: [10, 10],
+      containerPadding: [20, 20],
+      colWidth: 90
+    };
+    // (800 - 40 + 10) / (90 + 10)
+    expect(calcColCount(positionParams)).toEqual(7);
+    expect(calcColCount({ ...positionParams, containerWidth: 50 })).toEqual(1);
+  });
+});
+
 describe("calcGridColWidth", () => {
   it("should complete basic calculation", () => {
     expect(calcGridColWidth(basePositionParams)).toEqual(100);
@@ -554,6 +1222,15 @@ describe("calcGridColWidth", () => {
     // (800 - 100 - 100 - 70) / 8
     expect(calcGridColWidth(positionParams)).toEqual(66.25);
   });
+
+  it("should use a fixed colWidth as is", () => {
+    const positionParams = {
+      ...basePositionParams,
+      margin: [10, 15],
+      colWidth: 40
+    };
+    expect(calcGridColWidth(positionParams)).toEqual(40);
+  });
 });
 
 describe("calcGridItemPosition", () => {
@@ -689,6 +1366,242 @@ describe("calcXY", () => {
     const res = calcXY(mockPositionParams, TOP, LEFT, W, H);
     expect(JSON.stringify(res)).toBe(JSON.stringify({ x: 0, y: 1 }));
   });
+  it("goes past the last column up to maxCols", () => {
+    expect(calcXY(mockPositionParams, 0, 700, 1, 1)).toEqual({ x: 3, y: 0 });
+    expect(
+      calcXY({ ...mockPositionParams, maxCols: Infinity }, 0, 700, 1, 1)
+    ).toEqual({ x: 6, y: 0 });
+  });
+});
+
+describe("direction rtl", () => {
+  const positionParams = { ...basePositionParams, direction: "rtl" };
+
+  it("counts x from the right edge", () => {
+    expect(calcGridItemPosition(positionParams, 0, 0, 2, 1)).toMatchObject({
+      left: 600,
+      width: 200
+    });
+    expect(calcGridItemPosition(positionParams, 6, 0, 2, 1).left).toEqual(0);
+  });
+
+  it("calcXY mirrors back", () => {
+    expect(calcXY(positionParams, 0, 600, 2, 1)).toEqual({ x: 0, y: 0 });
+    expect(calcXY(positionParams, 0, 0, 2, 1)).toEqual({ x: 6, y: 0 });
+    expect(calcXY(positionParams, 0, 390, 2, 1)).toEqual({ x: 2, y: 0 });
+  });
+});
+
+describe("calcGridItemPercentages", () => {
+  const positionParams = {
+    margin: [10, 10],
+    containerPadding: [10, 10],
+    containerWidth: 1280,
+    cols: 12,
+    rowHeight: 30,
+    maxRows: Infinity
+  };
+
+  it("keeps margins and padding in px", () => {
+    expect(calcGridItemPercentages(positionParams, 0, 12)).toEqual({
+      left: "calc(0% + 10px)",
+      width: "calc(100% - 20px)"
+    });
+    expect(calcGridItemPercentages(positionParams, 3, 2)).toEqual({
+      left: "calc(25% + 7.5px)",
+      width: "calc(16.6667% - 11.667px)"
+    });
+  });
+
+  it("matches the px position at any width", () => {
+    const containerWidth = 1000;
+    const { left, width } = calcGridItemPosition(
+      { ...positionParams, containerWidth },
+      3,
+      0,
+      2,
+      1
+    );
+    // 25% of 1000px + 7.5px, 16.6667% of 1000px - 11.667px
+    expect(left).toEqual(Math.round(250 + 7.5));
+    expect(width).toEqual(Math.round(166.667 - 11.667));
+  });
+
+  it("counts x from the right edge for rtl", () => {
+    expect(
+      calcGridItemPercentages({ ...positionParams, direction: "rtl" }, 0, 3)
+        .left
+    ).toEqual("calc(75% + 2.5px)");
+  });
+
+  it("is null for a fixed colWidth", () => {
+    expect(
+      calcGridItemPercentages({ ...positionParams, colWidth: 100 }, 0, 1)
+    ).toBeNull();
+  });
+});
+
+describe("calcGridTemplate", () => {
+  const positionParams = {
+    margin: [10, 20],
+    containerPadding: [5, 15],
+    cols: 12,
+    rowHeight: 30
+  };
+
+  it("shares the content box between the columns", () => {
+    expect(calcGridTemplate(positionParams, 3)).toEqual({
+      display: "grid",
+      gridTemplateColumns: "repeat(12, calc((100% - 110px) / 12))",
+      gridAutoColumns: "calc((100% - 110px) / 12)",
+      gridAutoRows: "30px",
+      columnGap: "10px",
+      rowGap: "20px",
+      padding: "15px 5px",
+      boxSizing: "border-box"
+    });
+  });
+
+  it("uses a fixed colWidth", () => {
+    expect(
+      calcGridTemplate({ ...positionParams, colWidth: 100 }, 3)
+        .gridTemplateColumns
+    ).toEqual("repeat(12, 100px)");
+  });
+
+  it("lists variable row heights", () => {
+    expect(
+      calcGridTemplate({ ...positionParams, rowHeight: [10, 40] }, 3)
+    ).toMatchObject({
+      gridTemplateRows: "10px 40px 40px",
+      gridAutoRows: "40px"
+    });
+    expect(
+      calcGridTemplate({ ...positionParams, rowHeight: y => y * 10 }, 0)
+    ).toMatchObject({ gridTemplateRows: "none", gridAutoRows: "0px" });
+  });
+});
+
+describe("calcAspectWH", () => {
+  // Items are 100w - 10 px wide and 50h - 10 px high
+  const positionParams = {
+    margin: [10, 10],
+    containerPadding: [10, 10],
+    containerWidth: 1210,
+    cols: 12,
+    rowHeight: 40,
+    maxRows: Infinity
+  };
+  const item = {
+    aspectRatio: 2,
+    minW: 1,
+    maxW: 12,
+    minH: 1,
+    maxH: Infinity
+  };
+
+  it("follows the dragged side and snaps the other to the ratio", () => {
+    // 390px wide, 190px high
+    expect(calcAspectWH(positionParams, 4, 1, 0, 1, "e", item)).toEqual({
+      w: 4,
+      h: 4
+    });
+    // 90px high, 190px wide
+    expect(calcAspectWH(positionParams, 6, 2, 0, 2, "s", item)).toEqual({
+      w: 2,
+      h: 2
+    });
+  });
+
+  it("takes the nearest size for corners, in grid units", () => {
+    const gridItem = { ...item, aspectRatioUnits: "grid" };
+    expect(calcAspectWH(positionParams, 6, 2, 0, 2, "se", gridItem)).toEqual({
+      w: 6,
+      h: 3
+    });
+  });
+
+  it("stays within the bounds", () => {
+    expect(
+      calcAspectWH(positionParams, 4, 1, 0, 1, "e", { ...item, maxH: 3 })
+    ).toEqual({ w: 3, h: 3 });
+    // A north handle grows the item up to the first row: maxH is its bottom
+    expect(
+      calcAspectWH(positionParams, 2, 5, 1, 3, "n", { ...item, maxH: 3 })
+    ).toEqual({ w: 3, h: 3 });
+    // No size has the ratio
+    expect(
+      calcAspectWH(positionParams, 2, 2, 0, 2, "se", {
+        ...item,
+        maxW: 1,
+        minH: 4
+      })
+    ).toEqual({ w: 1, h: 4 });
+  });
+});
+
+describe("variable row heights", () => {
+  // Rows start at 0, 70, 110, 150...
+  const positionParams = {
+    margin: [0, 10],
+    containerPadding: [0, 0],
+    containerWidth: 400,
+    cols: 4,
+    rowHeight: [60, 30],
+    maxRows: 10
+  };
+
+  it("takes a row's height from an array or a function", () => {
+    expect(calcRowHeight([60, 30], 0)).toEqual(60);
+    expect(calcRowHeight([60, 30], 5)).toEqual(30);
+    expect(calcRowHeight(y => (y === 0 ? 60 : 30), 1)).toEqual(30);
+    expect(calcRowHeight(50, 3)).toEqual(50);
+  });
+
+  it("positions items on their rows", () => {
+    expect(calcGridItemPosition(positionParams, 0, 0, 1, 2)).toMatchObject({
+      top: 0,
+      height: 100
+    });
+    expect(calcGridItemPosition(positionParams, 0, 1, 1, 2)).toMatchObject({
+      top: 70,
+      height: 70
+    });
+  });
+
+  it("calcXY snaps to the nearest row", () => {
+    expect(calcXY(positionParams, 80, 0, 1, 1)).toEqual({ x: 0, y: 1 });
+    expect(calcXY(positionParams, 95, 0, 1, 1)).toEqual({ x: 0, y: 2 });
+    expect(calcXY(positionParams, 1000, 0, 1, 2)).toEqual({ x: 0, y: 8 });
+  });
+
+  it("calcWH snaps resizes to the rows below the item", () => {
+    expect(calcWH(positionParams, 100, 65, 0, 0, "s")).toEqual({ w: 1, h: 1 });
+    expect(calcWH(positionParams, 100, 100, 0, 0, "s")).toEqual({ w: 1, h: 2 });
+  });
+
+  it("calcRowsForHeight takes the fewest rows the height fits in", () => {
+    expect(calcRowsForHeight(positionParams, 0, 60)).toEqual(1);
+    expect(calcRowsForHeight(positionParams, 0, 61)).toEqual(2);
+    expect(calcRowsForHeight(positionParams, 1, 61)).toEqual(2);
+    expect(calcRowsForHeight(positionParams, 0, 0)).toEqual(1);
+    expect(calcRowsForHeight(positionParams, 8, 1000)).toEqual(2);
+    expect(
+      calcRowsForHeight({ ...positionParams, rowHeight: 30 }, 0, 70)
+    ).toEqual(2);
+  });
+
+  it("calcWH counts rows up from the bottom for north handles", () => {
+    // The item covers rows 1 and 2 (70px); rows 0 to 2 are 140px
+    expect(calcWH(positionParams, 100, 100, 0, 1, "n", 3)).toEqual({
+      w: 1,
+      h: 2
+    });
+    expect(calcWH(positionParams, 100, 130, 0, 1, "n", 3)).toEqual({
+      w: 1,
+      h: 3
+    });
+  });
 });
 
 describe("compactType", () => {
@@ -0,0 +1,252 @@
+// @flow
+
+// compact() and moveElement() as they were before the SpatialIndex: every collision
+// lookup scans the whole layout. Only vertical and horizontal compaction, without
+// maxRows or layout groups. Tests check the indexed versions against these.
+import {
+  bottom,
+  cloneLayoutItem,
+  collides,
+  getStatics,
+  sortLayoutItems
+} from "../../lib/utils";
+
+type Item = {
+  x: number,
+  y: number,
+  w: number,
+  h: number,
+  i: string,
+  static?: boolean,
+  moved?: boolean,
+  isDraggable?: boolean
+};
+type Layout = Array<Item>;
+type CompactType = "vertical" | "horizontal";
+
+function getFirstCollision(layout: Layout, item: Item): ?Item {
+  for (let i = 0, len = layout.length; i < len; i++) {
+    if (collides(layout[i], item)) return layout[i];
+  }
+}
+
+export function compact(
+  layout: Layout,
+  compactType: CompactType,
+  cols: number
+): Layout {
+  const compareWith = getStatics(layout);
+  const sorted = sortLayoutItems(layout, compactType);
+  const out = Array(layout.length);
+
+  for (let i = 0, len = sorted.length; i < len; i++) {
+    let l = cloneLayoutItem(sorted[i]);
+    if (!l.static) {
+      l = compactItem(compareWith, l, compactType, cols, sorted);
+      compareWith.push(l);
+    }
+    out[layout.indexOf(sorted[i])] = l;
+    l.moved = false;
+  }
+  return out;
+}
+
+const heightWidth = { x: "w", y: "h" };
+
+function resolveCompactionCollision(
+  layout: Layout,
+  item: Item,
+  moveToCoord: number,
+  axis: "x" | "y"
+) {
+  const sizeProp = heightWidth[axis];
+  item[axis] += 1;
+  const itemIndex = layout.map(layoutItem => layoutItem.i).indexOf(item.i);
+
+  for (let i = itemIndex + 1; i < layout.length; i++) {
+    const otherItem = layout[i];
+    if (otherItem.static) continue;
+    if (otherItem.y > item.y + item.h) break;
+    if (collides(item, otherItem)) {
+      resolveCompactionCollision(
+        layout,
+        otherItem,
+        moveToCoord + item[sizeProp],
+        axis
+      );
+    }
+  }
+  item[axis] = moveToCoord;
+}
+
+function compactItem(
+  compareWith: Layout,
+  l: Item,
+  compactType: CompactType,
+  cols: number,
+  fullLayout: Layout
+): Item {
+  const compactV = compactType === "vertical";
+  const compactH = compactType === "horizontal";
+  if (compactV) {
+    l.y = Math.min(bottom(compareWith), l.y);
+    while (l.y > 0 && !getFirstCollision(compareWith, l)) l.y--;
+  } else if (compactH) {
+    while (l.x > 0 && !getFirstCollision(compareWith, l)) l.x--;
+  }
+
+  let collision;
+  while ((collision = getFirstCollision(compareWith, l))) {
+    if (compactH) {
+      resolveCompactionCollision(fullLayout, l, collision.x + collision.w, "x");
+    } else {
+      resolveCompactionCollision(fullLayout, l, collision.y + collision.h, "y");
+    }
+    if (compactH && l.x + l.w > cols) {
+      l.x = cols - l.w;
+      l.y++;
+      while (l.x > 0 && !getFirstCollision(compareWith, l)) l.x--;
+    }
+  }
+
+  l.y = Math.max(l.y, 0);
+  l.x = Math.max(l.x, 0);
+  return l;
+}
+
+export function moveElement(
+  layout: Layout,
+  l: Item,
+  x: ?number,
+  y: ?number,
+  isUserAction: boolean,
+  preventCollision: boolean,
+  compactType: CompactType,
+  cols: number
+): Layout {
+  if (l.static && l.isDraggable !== true) return layout;
+  if (l.y === y && l.x === x) return layout;
+
+  const oldX = l.x;
+  const oldY = l.y;
+  if (typeof x === "number") l.x = x;
+  if (typeof y === "number") l.y = y;
+  l.moved = true;
+
+  let sorted = sortLayoutItems(layout, compactType);
+  const movingUp =
+    compactType === "vertical" && typeof y === "number"
+      ? oldY >= y
+      : compactType === "horizontal" && typeof x === "number"
+        ? oldX >= x
+        : false;
+  if (movingUp) sorted = sorted.reverse();
+
+  const collisions = sorted.filter(other => collides(other, l));
+  if (collisions.length > 0 && preventCollision) {
+    l.x = oldX;
+    l.y = oldY;
+    l.moved = false;
+    return layout;
+  }
+
+  for (let i = 0, len = collisions.length; i < len; i++) {
+    const collision = collisions[i];
+    if (collision.moved) continue;
+    if (collision.static) {
+      layout = moveElementAwayFromCollision(
+        layout,
+        collision,
+        l,
+        isUserAction,
+        compactType,
+        cols
+      );
+    } else {
+      layout = moveElementAwayFromCollision(
+        layout,
+        l,
+        collision,
+        isUserAction,
+        compactType,
+        cols
+      );
+    }
+  }
+  return layout;
+}
+
+function moveElementAwayFromCollision(
+  layout: Layout,
+  collidesWith: Item,
+  itemToMove: Item,
+  isUserAction: boolean,
+  compactType: CompactType,
+  cols: number
+): Layout {
+  const compactH = compactType === "horizontal";
+  const compactV = compactType === "vertical";
+  const preventCollision = Boolean(collidesWith.static);
+
+  if (isUserAction) {
+    isUserAction = false;
+    const fakeItem = {
+      x: compactH ? Math.max(collidesWith.x - itemToMove.w, 0) : itemToMove.x,
+      y: compactV ? Math.max(collidesWith.y - itemToMove.h, 0) : itemToMove.y,
+      w: itemToMove.w,
+      h: itemToMove.h,
+      i: "-1"
+    };
+    const firstCollision = getFirstCollision(layout, fakeItem);
+    const collisionNorth =
+      firstCollision && firstCollision.y + firstCollision.h > collidesWith.y;
+    const collisionWest =
+      firstCollision && collidesWith.x + collidesWith.w > firstCollision.x;
+
+    if (!firstCollision) {
+      return moveElement(
+        layout,
+        itemToMove,
+        compactH ? fakeItem.x : undefined,
+        compactV ? fakeItem.y : undefined,
+        isUserAction,
+        preventCollision,
+        compactType,
+        cols
+      );
+    } else if (collisionNorth && compactV) {
+      return moveElement(
+        layout,
+        itemToMove,
+        undefined,
+        collidesWith.y + 1,
+        isUserAction,
+        preventCollision,
+        compactType,
+        cols
+      );
+    } else if (collisionWest && compactH) {
+      return moveElement(
+        layout,
+        collidesWith,
+        itemToMove.x,
+        undefined,
+        isUserAction,
+        preventCollision,
+        compactType,
+        cols
+      );
+    }
+  }
+
+  return moveElement(
+    layout,
+    itemToMove,
+    compactH ? itemToMove.x + 1 : undefined,
+    compactV ? itemToMove.y + 1 : undefined,
+    isUserAction,
+    preventCollision,
+    compactType,
+    cols
+  );
+}